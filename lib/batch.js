@@ -0,0 +1,199 @@
+/* Batch runner: runs one FSM per input, eg. the shopify reader for every store, with a concurrency limit.
+ *
+ * Every instance keeps its own FSM and transition log. Running the batch again resumes the failed
+ * instances from their logs (see replayFSM), while finished ones are left alone.
+ */
+
+const {ERROR, EVENTS, FSMError, makeStates, iterateFSM, completeRun, replayFSM, logTransitions} = require('./fsm.js');
+const {realClock, sleep} = require('./clock.js');
+const {failedEntry} = require('./saga.js');
+
+/* start - {index, input, resumed}, when an instance starts running.
+ * transition - {index, entry}, after each (logged) transition of an instance.
+ * done / failed - {index, result} / {index, error}, when an instance has finished.
+ * progress - {total, pending, running, done, failed}, after each instance has finished.
+ * end - {total, pending, running, done, failed}, when a run of the batch is complete.
+ */
+const BATCH_EVENTS = makeStates('start', 'transition', 'done', 'failed', 'progress', 'end');
+
+/* delays the transitions of fsm so that at most limit of them start within any interval milliseconds */
+const limitRate = (fsm, clock, {limit = 1, interval}) => {
+    const starts = [];
+    fsm.on(EVENTS.pretransition, async () => {
+        if (starts.length >= limit) {
+            await sleep(clock, starts[starts.length - limit] + interval - clock.now(), fsm.signal);
+        }
+        starts.push(clock.now());
+        starts.splice(0, starts.length - limit);
+    });
+};
+
+/* options:
+ * finalStates - the states which end a run of an instance.
+ * failedStates - final states which count as failures (default: [ERROR]), their first output is the error.
+ * args - maps an input to the runFSM arguments of its instance (default: input => [input]).
+ * concurrency - maximum number of instances running at the same time (default: 4).
+ * rateLimit - optional {limit, interval}: each instance starts at most limit transitions per interval milliseconds.
+ * clock - schedules the rate limit delays, see clock.js (default: realClock).
+ * signal - AbortSignal which stops the running instances, see startFSM.
+ */
+class Batch {
+    constructor (factory, inputs, {finalStates, failedStates = [ERROR], args = input => [input], concurrency = 4, rateLimit,
+        clock = realClock, signal} = {}) {
+        if (!(concurrency >= 1)) {
+            throw new FSMError("batch concurrency must be at least 1");
+        }
+        this.factory = factory;
+        this.finalStates = finalStates;
+        this.failedStates = failedStates;
+        this.args = args;
+        this.concurrency = concurrency;
+        this.rateLimit = rateLimit;
+        this.clock = clock;
+        this.signal = signal;
+        // status is one of "pending", "running", "done" and "failed"
+        this.instances = inputs.map((input, index) => ({
+            index, input, fsm: undefined, transitionLog: [], status: "pending", result: undefined, error: undefined
+        }));
+        this.callbacks = {};
+        this.streams = [];
+        this.running = false;
+    }
+
+    // registers callback for one of BATCH_EVENTS, returns a function which unregisters it
+    on(eventName, callback) {
+        this.callbacks[eventName] = (this.callbacks[eventName] || []).concat([callback]);
+        return () => {
+            this.callbacks[eventName] = (this.callbacks[eventName] || []).filter(fn => fn !== callback);
+        };
+    }
+
+    emit(type, data) {
+        (this.callbacks[type] || []).forEach(callback => callback(data));
+        this.streams.forEach(stream => stream({type, ...data}));
+    }
+
+    /* returns an async iterator over the {type, ...data} events of the batch, which ends after the end event of
+     * the current (or next) run.
+     */
+    async* events() {
+        const queue = [];
+        let notify;
+        const stream = event => {
+            queue.push(event);
+            if (notify) {
+                notify();
+            }
+        };
+        this.streams.push(stream);
+        try {
+            for (;;) {
+                while (queue.length > 0) {
+                    const event = queue.shift();
+                    yield event;
+                    if (event.type === BATCH_EVENTS.end) {
+                        return;
+                    }
+                }
+                await new Promise(resolve => {
+                    notify = resolve;
+                });
+                notify = undefined;
+            }
+        } finally {
+            this.streams = this.streams.filter(fn => fn !== stream);
+        }
+    }
+
+    // counts of the instances by status
+    summary() {
+        return this.instances.reduce((acc, {status}) => {
+            acc[status]++;
+            return acc;
+        }, {total: this.instances.length, pending: 0, running: 0, done: 0, failed: 0});
+    }
+
+    createFSM(instance) {
+        const fsm = this.factory(instance.input, instance.index);
+        logTransitions(fsm, instance.transitionLog);
+        fsm.on(EVENTS.posttransition, () => this.emit(BATCH_EVENTS.transition, {
+            index: instance.index,
+            entry: instance.transitionLog[instance.transitionLog.length - 1]
+        }));
+        if (this.rateLimit) {
+            limitRate(fsm, this.clock, this.rateLimit);
+        }
+        return fsm;
+    }
+
+    /* continues a failed instance: from the state its failed transition started in (one which failed in its
+     * transitionFn or led to one of failedStates), or from the last state it reached when the run stopped
+     * otherwise. Instances which never got anywhere are run from the start.
+     */
+    resume(instance) {
+        const entries = instance.transitionLog.filter(entry => !entry.path);
+        const last = entries[entries.length - 1];
+        const state = last && (failedEntry(last) || this.failedStates.includes(last.to) ? last.from : last.to);
+        if (!last || !entries.some(entry => entry.to === state)) {
+            instance.fsm.currentState = instance.fsm.initialState;
+            return completeRun(iterateFSM(instance.fsm, this.finalStates, {signal: this.signal}, ...this.args(instance.input)));
+        }
+        return replayFSM(instance.fsm, state, this.finalStates, instance.transitionLog, {signal: this.signal});
+    }
+
+    async runInstance(instance) {
+        const resumed = instance.status === "failed";
+        instance.status = "running";
+        instance.error = undefined;
+        this.emit(BATCH_EVENTS.start, {index: instance.index, input: instance.input, resumed});
+        try {
+            if (!instance.fsm) {
+                instance.fsm = this.createFSM(instance);
+            }
+            instance.result = resumed ?
+                await this.resume(instance) :
+                await completeRun(iterateFSM(instance.fsm, this.finalStates, {signal: this.signal}, ...this.args(instance.input)));
+            if (this.failedStates.includes(instance.result[0])) {
+                instance.status = "failed";
+                instance.error = instance.result[1];
+            } else {
+                instance.status = "done";
+            }
+        } catch (error) {
+            instance.status = "failed";
+            instance.result = undefined;
+            instance.error = error;
+        }
+        this.emit(instance.status === "done" ? BATCH_EVENTS.done : BATCH_EVENTS.failed,
+            instance.status === "done" ? {index: instance.index, result: instance.result} : {index: instance.index, error: instance.error});
+        this.emit(BATCH_EVENTS.progress, this.summary());
+    }
+
+    /* runs the pending instances and resumes the failed ones, at most concurrency at a time.
+     * Resolves to the list of instances: {index, input, fsm, transitionLog, status, result, error}.
+     */
+    async run() {
+        if (this.running) {
+            throw new FSMError("batch is already running");
+        }
+        this.running = true;
+        try {
+            const queue = this.instances.filter(instance => instance.status !== "done");
+            const worker = async () => {
+                while (queue.length > 0) {
+                    await this.runInstance(queue.shift());
+                }
+            };
+            await Promise.all(Array.from({length: Math.min(this.concurrency, queue.length)}, worker));
+        } finally {
+            this.running = false;
+        }
+        this.emit(BATCH_EVENTS.end, this.summary());
+        return this.instances;
+    }
+};
+
+// runs a batch once, see Batch
+const runBatch = (factory, inputs, options) => new Batch(factory, inputs, options).run();
+
+module.exports = {BATCH_EVENTS, Batch, runBatch};
@@ -0,0 +1,89 @@
+/* Log-based branching: replaying a run from any entry of its transition log, and forking it.
+ *
+ * A fork point selects an entry of a transition log, the run continues from the state the entry arrived
+ * in, with the entry's output (or other arguments) as input. forkLog() copies the log up to the fork
+ * point into a branch log which records where it was forked from, forkRuns() runs several branches
+ * from the same fork point, eg. to compare what happens with different arguments.
+ */
+
+const {FSMError, getLabel, replayFSM, logTransitions} = require('./fsm.js');
+
+/* returns the index of the transition log entry selected by at, which is one of
+ *   - an index into transitionLog, negative indexes count from the end (-1 is the last entry),
+ *   - a predicate (entry, index, transitionLog) => boolean, which selects the first matching entry,
+ *   - {state, visit}, which selects the visit-th arrival (counting from 1) of the top-level FSM in state,
+ *     negative visits count from the last arrival.
+ */
+const findForkPoint = (transitionLog, at) => {
+    let index;
+    if (typeof at === 'number') {
+        index = at < 0 ? transitionLog.length + at : at;
+    } else if (typeof at === 'function') {
+        index = transitionLog.findIndex(at);
+    } else if (at && at.state !== undefined) {
+        const {state, visit = 1} = at;
+        const arrivals = transitionLog.reduce((acc, entry, entryIndex) =>
+            !entry.path && entry.to === state ? acc.concat([entryIndex]) : acc, []);
+        index = arrivals[visit < 0 ? arrivals.length + visit : visit - 1];
+        if (index === undefined) {
+            throw new FSMError(`transition log has no visit ${visit} to state ${getLabel(state)}`);
+        }
+    } else {
+        throw new FSMError("fork point must be an index, a predicate or {state, visit}");
+    }
+    if (!(index >= 0 && index < transitionLog.length)) {
+        throw new FSMError(`no transition log entry matches fork point ${typeof at === 'number' ? at : "predicate"}`);
+    }
+    return index;
+};
+
+const resolveArgs = (args, output) => typeof args === 'function' ? args(output) : args;
+
+/* runs fsm from the entry of transitionLog selected by at (see findForkPoint), in the state the entry
+ * arrived in. Entries of child FSMs resume the run inside the child, like replayFSM.
+ * options:
+ * args - arguments to run with instead of the entry's output, or a function which maps the output to them.
+ */
+const replayFrom = (fsm, at, finalStates, transitionLog, {args} = {}) => {
+    const index = findForkPoint(transitionLog, at);
+    const {to, output = [], path = []} = transitionLog[index];
+    return replayFSM(fsm, path.concat([to]), finalStates, transitionLog.slice(0, index + 1), {args: resolveArgs(args, output)});
+};
+
+/* returns a branch log: a copy of transitionLog up to and including the fork point at, with a fork
+ * property {parent, index} referring to transitionLog and the index of the fork point in it.
+ */
+const forkLog = (transitionLog, at) => {
+    const index = findForkPoint(transitionLog, at);
+    const branchLog = transitionLog.slice(0, index + 1);
+    branchLog.fork = {parent: transitionLog, index};
+    return branchLog;
+};
+
+// returns the entries a branch log recorded after its fork point, or all entries of a log which is no branch
+const branchEntries = branchLog => branchLog.fork ? branchLog.slice(branchLog.fork.index + 1) : branchLog.slice();
+
+/* runs a branch per element of variants from the fork point at of transitionLog. Each variant is
+ * undefined (rerun with the recorded output) or the args option of replayFrom. factory(variant, index)
+ * returns a fresh FSM for each branch. Resolves to the list of branches:
+ * {index, variant, fsm, transitionLog, result, error}, where transitionLog is the branch log (see forkLog)
+ * and error is set instead of result when the branch run threw.
+ */
+const forkRuns = (factory, transitionLog, at, variants, {finalStates} = {}) => {
+    const index = findForkPoint(transitionLog, at);
+    return Promise.all(variants.map(async (variant, branchIndex) => {
+        const branch = {
+            index: branchIndex, variant, fsm: factory(variant, branchIndex), transitionLog: forkLog(transitionLog, index),
+            result: undefined, error: undefined
+        };
+        logTransitions(branch.fsm, branch.transitionLog);
+        try {
+            branch.result = await replayFrom(branch.fsm, index, finalStates, transitionLog, {args: variant});
+        } catch (error) {
+            branch.error = error;
+        }
+        return branch;
+    }));
+};
+
+module.exports = {findForkPoint, replayFrom, forkLog, branchEntries, forkRuns};
@@ -0,0 +1,87 @@
+/* Clocks schedule the timers used by FSMs (retry backoff, transition timeouts, timed transitions).
+ * A clock is any object with the following methods:
+ *   now()                 - current time in milliseconds.
+ *   setTimeout(fn, ms)    - calls fn after ms milliseconds, returns a handle.
+ *   clearTimeout(handle)  - cancels a timer created by setTimeout.
+ * realClock uses the global timers, ManualClock only moves forward when advance() is called, so
+ * timing-dependent behavior can be tested without real delays.
+ */
+
+const realClock = {
+    now: () => Date.now(),
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: handle => clearTimeout(handle)
+};
+
+// lets pending promise callbacks run
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+class ManualClock {
+    constructor (now = 0) {
+        this.time = now;
+        this.timers = [];
+        this.nextHandle = 1;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    setTimeout(fn, ms = 0) {
+        const handle = this.nextHandle++;
+        this.timers.push({handle, fn, time: this.time + Math.max(0, ms)});
+        return handle;
+    }
+
+    clearTimeout(handle) {
+        this.timers = this.timers.filter(timer => timer.handle !== handle);
+    }
+
+    // number of timers which have not fired yet
+    pending() {
+        return this.timers.length;
+    }
+
+    /* moves the clock forward by ms milliseconds, firing due timers in order. Returns a promise which
+     * resolves once the callbacks of fired timers (and the promises they settle) have run.
+     */
+    async advance(ms = 0) {
+        const target = this.time + ms;
+        await settle();
+        for (;;) {
+            const due = this.timers
+                .filter(timer => timer.time <= target)
+                .sort((a, b) => a.time - b.time || a.handle - b.handle)[0];
+            if (!due) {
+                break;
+            }
+            this.clearTimeout(due.handle);
+            this.time = due.time;
+            due.fn();
+            await settle();
+        }
+        this.time = target;
+    }
+};
+
+// returns a promise fulfilled after ms milliseconds according to clock, or as soon as signal is aborted
+const sleep = (clock, ms, signal) => new Promise(resolve => {
+    if (signal && signal.aborted) {
+        return resolve();
+    }
+    const onAbort = () => {
+        clock.clearTimeout(handle);
+        resolve();
+    };
+    const handle = clock.setTimeout(() => {
+        if (signal) {
+            signal.removeEventListener('abort', onAbort);
+        }
+        resolve();
+    }, ms);
+    if (signal) {
+        signal.addEventListener('abort', onAbort, {once: true});
+    }
+});
+
+module.exports = {realClock, ManualClock, sleep};
@@ -0,0 +1,142 @@
+/* Transition coverage and model-based test path generation.
+ *
+ * transitionCoverage() tells which transitions of an FSM the given transition logs exercised, per
+ * starting state and priority index, with separate rows for reaching the transition's errorState.
+ * generatePaths() enumerates the paths through the transition graph (see graph.js) which end in a
+ * final state, as a starting point for test cases.
+ */
+
+const {FSM, ERROR, getLabel, normalizeFinalStates} = require('./fsm.js');
+const {normalizeDefinition} = require('./definition.js');
+const {EDGE_KINDS, ANY_STATE, toGraph} = require('./graph.js');
+const {failedEntry} = require('./saga.js');
+
+const COVERAGE_STATUS = {taken: "taken", untaken: "untaken", shadowed: "shadowed"};
+
+// transitions with a nextState (or a child FSM) always apply, so the ones after them are never tried
+const alwaysApplies = transition => transition.after === undefined && Boolean(transition.nextState || transition.child);
+
+/* returns, for each transition in the priority ordered list, the index of the earlier transition which always
+ * applies and thus shadows it, or null. Timed transitions are taken by their timer and neither shadow others
+ * nor are shadowed.
+ */
+const shadowingIndexes = transitions => {
+    let shadowing = null;
+    return transitions.map((transition, index) => {
+        if (transition.after !== undefined) {
+            return null;
+        }
+        const result = shadowing;
+        if (shadowing === null && alwaysApplies(transition)) {
+            shadowing = index;
+        }
+        return result;
+    });
+};
+
+const canFail = transition => Boolean(transition.transitionFn || transition.child);
+
+/* returns the coverage of fsm's transitions by the given transition logs:
+ * {transitions, total, taken, untaken, shadowed, unmatched} where transitions lists a row per transition
+ * outcome: {from, index, outcome, transition, count, targets, status, shadowedBy}
+ *   outcome - "success", or "error" for reaching the transition's errorState (only for transitions which can fail).
+ *   count - number of log entries for the outcome, targets lists them by state as {to, count}.
+ *   status - "taken", "untaken", or "shadowed" when the earlier transition shadowedBy always applies.
+ * total, taken, untaken and shadowed count the rows, unmatched lists the log entries which match no transition.
+ * Entries of child FSMs (see FSM.addTransition()) are not counted.
+ */
+const transitionCoverage = (fsm, ...transitionLogs) => {
+    const rows = [];
+    const rowsByTransition = new Map();
+    Reflect.ownKeys(fsm.validTransitions).forEach(from => {
+        const transitions = fsm.validTransitions[from];
+        const shadowedBy = shadowingIndexes(transitions);
+        transitions.forEach((transition, index) => {
+            const outcomes = canFail(transition) ? ["success", "error"] : ["success"];
+            const transitionRows = outcomes.map(outcome => ({
+                from, index, outcome, transition, count: 0, targets: [], status: COVERAGE_STATUS.untaken,
+                shadowedBy: shadowedBy[index]
+            }));
+            rows.push(...transitionRows);
+            rowsByTransition.set(transition, transitionRows);
+        });
+    });
+    const unmatched = [];
+    transitionLogs.forEach(transitionLog => transitionLog.filter(entry => !entry.path).forEach(entry => {
+        const transitionRows = (fsm.validTransitions[entry.from] || []).includes(entry.transition) &&
+            rowsByTransition.get(entry.transition);
+        const row = transitionRows && transitionRows[failedEntry(entry) ? 1 : 0];
+        if (!row) {
+            unmatched.push(entry);
+            return;
+        }
+        row.count++;
+        const target = row.targets.find(({to}) => to === entry.to);
+        if (target) {
+            target.count++;
+        } else {
+            row.targets.push({to: entry.to, count: 1});
+        }
+    }));
+    rows.forEach(row => {
+        row.status = row.count > 0 ? COVERAGE_STATUS.taken :
+            (row.shadowedBy === null ? COVERAGE_STATUS.untaken : COVERAGE_STATUS.shadowed);
+    });
+    const countStatus = status => rows.filter(row => row.status === status).length;
+    return {
+        transitions: rows,
+        total: rows.length,
+        taken: countStatus(COVERAGE_STATUS.taken),
+        untaken: countStatus(COVERAGE_STATUS.untaken),
+        shadowed: countStatus(COVERAGE_STATUS.shadowed),
+        unmatched
+    };
+};
+
+// formats the rows of a coverage report, one per line: "[taken] FETCH #0 error -> ERROR (2x)"
+const formatCoverage = ({transitions}) => transitions.map(({from, index, outcome, targets, count, status, shadowedBy}) => [
+    `[${status}] ${getLabel(from)} #${index} ${outcome}`,
+    targets.length > 0 ? `-> ${targets.map(({to}) => getLabel(to)).join(", ")} (${count}x)` : "",
+    status === COVERAGE_STATUS.shadowed ? `by #${shadowedBy}` : ""
+].filter(Boolean).join(" ")).join("\n");
+
+/* enumerates the paths from the initial state to a final state with at most maxDepth transitions. Each path is
+ * {states, steps}, where steps lists the edges taken as {from, to, index, kind} (see graph.js). options:
+ * finalStates - the states which end a path like in runFSM, defaults to the definition's finalStates and ERROR
+ *               (which definition.js always treats as final).
+ * maxDepth - maximum number of transitions per path (default: 10).
+ * from - the state paths start in, defaults to the initial state.
+ * Shadowed transitions are skipped, as are transitions without declared targets (their targets are unknown)
+ * and the errorState edges of transitions with includeErrors false (the default is true).
+ */
+const generatePaths = (fsmOrDefinition, {finalStates, maxDepth = 10, from, includeErrors = true} = {}) => {
+    const graph = toGraph(fsmOrDefinition, {finalStates: finalStates && normalizeFinalStates(finalStates)});
+    const pathEnds = (finalStates || graph.finalStates.includes(ERROR)) ? graph.finalStates : graph.finalStates.concat([ERROR]);
+    const normalized = fsmOrDefinition instanceof FSM ? fsmOrDefinition.validTransitions :
+        normalizeDefinition(fsmOrDefinition).transitions.reduce((acc, [state, transitions]) => {
+            acc[state] = transitions;
+            return acc;
+        }, {});
+    const shadowed = new Set();
+    Reflect.ownKeys(normalized).forEach(state => shadowingIndexes(normalized[state])
+        .forEach((shadowedBy, index) => shadowedBy === null || shadowed.add(normalized[state][index])));
+    const edges = graph.edges.filter(edge => edge.to !== ANY_STATE && !shadowed.has(edge.transition) &&
+        (includeErrors || edge.kind !== EDGE_KINDS.error));
+    const paths = [];
+    const visit = (state, states, steps) => {
+        if (steps.length > 0 && pathEnds.includes(state)) {
+            paths.push({states, steps});
+            return;
+        }
+        if (steps.length >= maxDepth) {
+            return;
+        }
+        edges.filter(edge => edge.from === state).forEach(({from, to, index, kind}) =>
+            visit(to, states.concat([to]), steps.concat([{from, to, index, kind}])));
+    };
+    const start = from === undefined ? graph.initialState : from;
+    visit(start, [start], []);
+    return paths;
+};
+
+module.exports = {COVERAGE_STATUS, transitionCoverage, formatCoverage, generatePaths, shadowingIndexes};
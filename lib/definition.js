@@ -0,0 +1,159 @@
+/* Declarative FSM definitions and static validation.
+ *
+ * A definition is a plain object:
+ *   {
+ *     initialState: states.START,
+ *     states: states,                 // array of states or an object returned by makeStates()
+ *     finalStates: [states.FINISHED], // ERROR is always considered final
+ *     functions: {makeRequest},       // optional, lets transitions refer to functions by name
+ *     transitions: {
+ *       START: [{nextState: states.PAGE, transitionFn: "makeRequest", errorState: states.FAILED}],
+ *       PAGE: [{transitionFn: parseResponse, targets: [states.PAGE, states.FINISHED]}]
+ *     }
+ *   }
+ * transitions are keyed by state label and listed in priority order. States may be referenced by
+ * value or by label, functions (transitionFn and compensate) by value or by name. targets optionally
+ * lists the states a transitionFn without nextState may return; when omitted, such a transition is
+ * assumed to reach any declared state. Instead of a transitionFn, a transition may run a child FSM:
+ * {child: {fsm, finalStates, exits}} (see FSM.addTransition()).
+ */
+
+const {FSM, FSMError, ERROR, getLabel} = require('./fsm.js');
+
+class FSMDefinitionError extends FSMError {
+    constructor (issues) {
+        super(`invalid FSM definition: ${issues.map(issue => issue.message).join("; ")}`);
+        this.name = "FSMDefinitionError";
+        this.issues = issues;
+    }
+};
+
+const stateList = states => Array.isArray(states) ? states : Object.values(states || {});
+
+const ownKeys = obj => Reflect.ownKeys(obj || {});
+
+/* returns the definition with all state and function references resolved:
+ * {initialState, states, finalStates, transitions: [[startingState, [transition, ...]], ...], unresolved}
+ * where unresolved lists references to unknown states and functions.
+ */
+const normalizeDefinition = definition => {
+    const states = stateList(definition.states);
+    const labels = states.reduce((acc, state) => {
+        acc[getLabel(state)] = state;
+        return acc;
+    }, {[getLabel(ERROR)]: ERROR});
+    const unresolved = [];
+    const resolveState = (ref, context) => {
+        if (ref === undefined || ref === ERROR || states.includes(ref)) {
+            return ref;
+        }
+        if (typeof ref === 'string' && labels.hasOwnProperty(ref)) {
+            return labels[ref];
+        }
+        unresolved.push({type: "undeclaredState", state: ref, message: `${context} refers to undeclared state ${getLabel(ref)}`});
+        return ref;
+    };
+    const resolveFn = (ref, context) => {
+        if (typeof ref !== 'string') {
+            return ref;
+        }
+        if (!(definition.functions || {}).hasOwnProperty(ref)) {
+            unresolved.push({type: "unknownFunction", function: ref, message: `${context} refers to unknown function ${ref}`});
+        }
+        return (definition.functions || {})[ref];
+    };
+    const transitions = ownKeys(definition.transitions).map(key => {
+        const startingState = resolveState(key, "transitions");
+        const context = `transition from ${getLabel(startingState)}`;
+        return [startingState, definition.transitions[key].map(({transitionFn, compensate, nextState, errorState, targets, ...policies}) => ({
+            ...policies,
+            transitionFn: resolveFn(transitionFn, context),
+            compensate: resolveFn(compensate, context),
+            nextState: resolveState(nextState, context),
+            errorState: resolveState(errorState, context),
+            targets: targets && targets.map(target => resolveState(target, context))
+        }))];
+    });
+    return {
+        initialState: resolveState(definition.initialState, "initialState"),
+        states,
+        finalStates: stateList(definition.finalStates).map(state => resolveState(state, "finalStates")),
+        transitions,
+        unresolved
+    };
+};
+
+// the states a transition may lead to
+const transitionTargets = (transition, states) => {
+    const targets = [];
+    if (transition.nextState) {
+        targets.push(transition.nextState);
+    } else if (transition.transitionFn || transition.child) {
+        targets.push(...(transition.targets || states));
+    }
+    if (transition.transitionFn || transition.child) {
+        targets.push(transition.errorState || ERROR);
+    }
+    return targets;
+};
+
+/* Checks a definition, returns a list of issues {type, severity, state, message}. Issues with
+ * severity "error" would lead to a "No valid transition" FSMError at runtime, or reference unknown
+ * states and functions. Unreachable states are reported with severity "warning".
+ */
+const validateDefinition = definition => {
+    const {initialState, states, finalStates, transitions, unresolved} = normalizeDefinition(definition);
+    const issues = unresolved.map(issue => ({severity: "error", ...issue}));
+    const outgoing = new Map(transitions);
+    const isFinal = state => state === ERROR || finalStates.includes(state);
+    if (initialState === undefined) {
+        issues.push({type: "missingInitialState", severity: "error", message: "initialState is not defined"});
+        return issues;
+    }
+    transitions.forEach(([startingState, stateTransitions]) => stateTransitions.forEach((transition, index) => {
+        if (!transition.transitionFn && !transition.child && !transition.nextState) {
+            issues.push({type: "emptyTransition", severity: "error", state: startingState,
+                message: `transition ${index} from ${getLabel(startingState)} has no transitionFn or nextState`});
+        }
+    }));
+    const errorStates = new Set(transitions.reduce((acc, [_state, stateTransitions]) =>
+        acc.concat(stateTransitions.filter(t => t.transitionFn || t.child).map(t => t.errorState).filter(Boolean)), []));
+    // a state leads nowhere if it is not final and has no transitions of its own
+    states.filter(state => !isFinal(state) && !(outgoing.get(state) || []).length)
+        .forEach(state => issues.push(errorStates.has(state) ?
+            {type: "deadErrorState", severity: "error", state, message: `errorState ${getLabel(state)} leads nowhere`} :
+            {type: "deadEnd", severity: "error", state, message: `state ${getLabel(state)} has no transitions and is not final`}));
+    // breadth-first search from initialState
+    const reachable = new Set([initialState]);
+    const queue = [initialState];
+    while (queue.length > 0) {
+        (outgoing.get(queue.shift()) || []).forEach(transition => transitionTargets(transition, states).forEach(target => {
+            if (!reachable.has(target)) {
+                reachable.add(target);
+                queue.push(target);
+            }
+        }));
+    }
+    states.filter(state => !reachable.has(state)).forEach(state => issues.push(
+        {type: "unreachableState", severity: "warning", state, message: `state ${getLabel(state)} is unreachable from ${getLabel(initialState)}`}));
+    return issues;
+};
+
+/* Builds an FSM from a definition. Throws FSMDefinitionError if validation reports errors
+ * (warnings are ignored). The definition is kept in the FSM's definition property.
+ * options are passed on to the FSM constructor.
+ */
+const createFSM = (definition, options) => {
+    const errors = validateDefinition(definition).filter(issue => issue.severity === "error");
+    if (errors.length > 0) {
+        throw new FSMDefinitionError(errors);
+    }
+    const {initialState, transitions} = normalizeDefinition(definition);
+    const fsm = new FSM(initialState, options);
+    transitions.forEach(([startingState, stateTransitions]) =>
+        stateTransitions.forEach(transition => fsm.addTransition(startingState, transition)));
+    fsm.definition = definition;
+    return fsm;
+};
+
+module.exports = {FSMDefinitionError, normalizeDefinition, validateDefinition, createFSM, transitionTargets};
@@ -1,3 +1,5 @@
+const {realClock, sleep} = require('./clock.js');
+
 const EMPTY = Symbol("EMPTY");
 const ERROR = Symbol("ERROR");
 
@@ -8,7 +10,8 @@ const makeStates = (...states) => states.reduce((acc, state) => {
     return acc;
 }, {});
 
-const EVENTS = makeStates('pretransition', 'posttransition');
+const EVENTS = makeStates('pretransition', 'posttransition', 'transitionattempt', 'transitionerror', 'final', 'childtransition',
+    'timererror', 'compensation', 'runstart', 'runend', 'divergence');
 
 // based on: https://medium.com/@xjamundx/custom-javascript-errors-in-es6-aa891b173f87
 class FSMError extends Error {
@@ -18,6 +21,83 @@ class FSMError extends Error {
     }
 }
 
+class TransitionTimeoutError extends FSMError {
+    constructor(timeout) {
+        super(`transition attempt timed out after ${timeout}ms`);
+        this.name = "TransitionTimeoutError";
+        this.timeout = timeout;
+    }
+}
+
+// base class of the errors which stop a run before a final state is reached. state and output are the
+// FSM's state and the input of the next transition, so the run can be continued from there.
+class FSMRunError extends FSMError {
+    constructor(message, state, output) {
+        super(message);
+        this.state = state;
+        this.output = output;
+    }
+}
+
+class FSMAbortError extends FSMRunError {
+    constructor(state, output, reason) {
+        super(`run aborted in state ${getLabel(state)}`, state, output);
+        this.name = "FSMAbortError";
+        this.reason = reason;
+    }
+}
+
+class StepLimitError extends FSMRunError {
+    constructor(state, output, maxSteps) {
+        super(`step limit of ${maxSteps} exceeded in state ${getLabel(state)}`, state, output);
+        this.name = "StepLimitError";
+        this.maxSteps = maxSteps;
+    }
+}
+
+class DeadlineExceededError extends FSMRunError {
+    constructor(state, output, deadline) {
+        super(`deadline exceeded in state ${getLabel(state)}`, state, output);
+        this.name = "DeadlineExceededError";
+        this.deadline = deadline;
+    }
+}
+
+// rejects advance() calls in mailbox mode when the mailbox is full and its overflow policy is "reject"
+class MailboxFullError extends FSMError {
+    constructor(limit) {
+        super(`mailbox limit of ${limit} queued advance() calls reached`);
+        this.name = "MailboxFullError";
+        this.limit = limit;
+    }
+}
+
+// rejects queued advance() calls which are discarded before their transition, reason is "overflow" or "cleared"
+class AdvanceDroppedError extends FSMError {
+    constructor(reason, input) {
+        super(`queued advance() call dropped (${reason})`);
+        this.name = "AdvanceDroppedError";
+        this.reason = reason;
+        this.input = input;
+    }
+}
+
+const MAILBOX_OVERFLOW_POLICIES = ["reject", "drop"];
+
+const normalizeMailbox = mailbox => {
+    if (!mailbox) {
+        return undefined;
+    }
+    const {limit = Infinity, overflow = "reject"} = mailbox === true ? {} : mailbox;
+    if (!(limit >= 0)) {
+        throw new FSMError("mailbox limit must be a non-negative number");
+    }
+    if (!MAILBOX_OVERFLOW_POLICIES.includes(overflow)) {
+        throw new FSMError(`mailbox overflow must be one of ${MAILBOX_OVERFLOW_POLICIES.join(", ")}`);
+    }
+    return {limit, overflow};
+};
+
 // invokes a sync or async function and always return a promise
 const invokePromiseFn = (fn, ...args) => {
     try {
@@ -33,121 +113,875 @@ const saveToHashList = (hashList, key, value, prepend=false) => {
     return hashList;
 };
 
+// removes value from hashList[key], value may also be the callback of a listener registered with once()
+const removeFromHashList = (hashList, key, value) => {
+    const index = (hashList[key] || []).findIndex(item => item === value || item.callback === value);
+    if (index >= 0) {
+        hashList[key].splice(index, 1);
+        if (hashList[key].length === 0) {
+            delete hashList[key];
+        }
+    }
+    return hashList;
+};
+
+// calls listener once signal is aborted, returns a function which removes the listener
+const onAbort = (signal, listener) => {
+    if (!signal) {
+        return () => {};
+    }
+    if (signal.aborted) {
+        listener();
+        return () => {};
+    }
+    signal.addEventListener('abort', listener, {once: true});
+    return () => signal.removeEventListener('abort', listener);
+};
+
+/* invokes a single attempt of transitionFn with a context object as this: {signal, attempt}, which is also
+ * appended to the arguments when withContext is set.
+ * context.signal is aborted when signal is aborted or the attempt takes longer than timeout milliseconds,
+ * which also rejects the returned promise (with signal's reason or a TransitionTimeoutError).
+ * Without signal and timeout, context.signal is undefined and no AbortController is needed.
+ */
+const invokeAttempt = (clock, transitionFn, input, {signal, timeout, attempt, withContext}) => {
+    const call = context => invokePromiseFn(transitionFn.bind(context), ...(withContext ? input.concat([context]) : input));
+    if (!signal && timeout === undefined) {
+        return call({signal, attempt});
+    }
+    const controller = new AbortController();
+    const cleanup = [];
+    const stopped = new Promise((_resolve, reject) => {
+        const stop = reason => {
+            controller.abort(reason);
+            reject(reason);
+        };
+        cleanup.push(onAbort(signal, () => stop(signal.reason)));
+        if (timeout !== undefined) {
+            const handle = clock.setTimeout(() => stop(new TransitionTimeoutError(timeout)), timeout);
+            cleanup.push(() => clock.clearTimeout(handle));
+        }
+    });
+    return Promise.race([call({signal: controller.signal, attempt}), stopped])
+        .finally(() => cleanup.forEach(fn => fn()));
+};
+
+const normalizeRetryPolicy = ({maxAttempts = 1, initialDelay = 0, factor = 2, maxDelay = Infinity, jitter = 0,
+        retryable = () => true, random = Math.random} = {}) => {
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+        throw new FSMError("retry.maxAttempts must be a positive integer");
+    }
+    if (!(jitter >= 0 && jitter <= 1)) {
+        throw new FSMError("retry.jitter must be between 0 and 1");
+    }
+    return {maxAttempts, initialDelay, factor, maxDelay, jitter, retryable, random};
+};
+
+const DEFAULT_RETRY_POLICY = normalizeRetryPolicy();
+
+// milliseconds to wait after the given (failed) attempt: exponential backoff with optional jitter
+const backoffDelay = ({initialDelay, factor, maxDelay, jitter, random}, attempt) => {
+    const delay = Math.min(maxDelay, initialDelay * Math.pow(factor, attempt - 1));
+    return delay - delay * jitter * random();
+};
+
 // Invoke event handlers registered for an event, returns promise fulfilled when they all complete.
 const callbackHashList = (hashList, eventName, ...args) => Promise.all((hashList[eventName] || []).map(fn => invokePromiseFn(fn, ...args)));
 
+// unsubscribe functions of the listeners which add transitions to logs, by log
+const logSubscriptions = new WeakMap();
+
+// registers a posttransition listener which adds transitions to log, so it can be removed by stopLogging()
+const subscribeLog = (fsm, log, callback) => {
+    const unsubscribers = [EVENTS.posttransition, EVENTS.childtransition].map(eventName => fsm.on(eventName, callback));
+    const unsubscribe = () => unsubscribers.forEach(fn => fn());
+    logSubscriptions.set(log, (logSubscriptions.get(log) || []).concat([{fsm, unsubscribe}]));
+    return log;
+};
+
 // unlike python, transitionLog's default value will always be a new empty list
-const logTransitions = (fsm, transitionLog = []) => {
-    fsm.on(EVENTS.posttransition, transitionData => transitionLog.push({time: new Date(), ...transitionData}));
-    return transitionLog;
+const logTransitions = (fsm, transitionLog = []) =>
+    subscribeLog(fsm, transitionLog, transitionData => transitionLog.push({time: new Date(), ...transitionData}));
+
+// stops adding the transitions of fsm to a log created by logTransitions (or a journal, see journal.js)
+const stopLogging = (fsm, transitionLog) => {
+    const subscriptions = logSubscriptions.get(transitionLog) || [];
+    subscriptions.filter(subscription => subscription.fsm === fsm).forEach(({unsubscribe}) => unsubscribe());
+    logSubscriptions.set(transitionLog, subscriptions.filter(subscription => subscription.fsm !== fsm));
+};
+
+// If only a single stopping state is given, implicitly add ERROR
+const normalizeFinalStates = finalStates => Array.isArray(finalStates) ? finalStates : [finalStates, ERROR];
+
+const deferred = () => {
+    let resolve, reject;
+    const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+    });
+    return {promise, resolve, reject};
+};
+
+/* runs the FSM until a stopping state is reached, yielding the data of each transition:
+ * {from, to, transition, input, output, attempts, time}. The iterator's return value is the
+ * [state, ...output] the run ends with. Stopping the iteration early (eg. break in for await)
+ * leaves the FSM in the state reached by the last transition. options:
+ * signal - AbortSignal which stops the run with an FSMAbortError. The signal is also passed on to the running
+ *          transitionFn as this.signal, or as the signal of its last argument (see addTransition's withContext).
+ * maxSteps - maximum number of transitions, the run stops with a StepLimitError when it is reached.
+ * deadline - time (a Date or milliseconds according to the FSM's clock) after which the run stops with
+ *            a DeadlineExceededError.
+ * Runs stopped by FSMRunError subclasses leave the FSM in the state the error refers to, so they can be
+ * continued with runFSM(fsm, finalStates, ...error.output). The timers of timed transitions run while the
+ * run drives the FSM, and stop when it ends (see FSM's idleTimers option). Only one run can drive an FSM at a
+ * time, starting another one fails with an FSMError.
+ */
+async function* iterateFSM(fsm, finalStates, {signal, maxSteps = Infinity, deadline} = {}, ...args) {
+    // only one run drives the FSM at a time, refused runs leave the active one alone
+    if (fsm.running) {
+        throw new FSMError("cannot run while another run drives the FSM");
+    }
+    if (fsm.inTransition && !fsm.mailbox) {
+        throw new FSMError("cannot advance while in transition");
+    }
+    finalStates = normalizeFinalStates(finalStates);
+    // a deadline needs a signal of its own, which also follows signal
+    const controller = deadline !== undefined ? new AbortController() : undefined;
+    const deadlineExceeded = {};
+    const cleanup = [];
+    if (controller) {
+        cleanup.push(onAbort(signal, () => controller.abort(signal.reason)));
+        const deadlineTime = deadline instanceof Date ? deadline.getTime() : deadline;
+        const handle = fsm.clock.setTimeout(() => controller.abort(deadlineExceeded), Math.max(0, deadlineTime - fsm.clock.now()));
+        cleanup.push(() => fsm.clock.clearTimeout(handle));
+    }
+    let nextState, result, error, steps = 0;
+    const startTime = fsm.clock.now();
+    fsm.running = true;
+    fsm.signal = controller ? controller.signal : signal;
+    fsm.startTimers();
+    try {
+        await fsm.emit(EVENTS.runstart, {state: fsm.currentState, input: args, startTime});
+        while (!finalStates.includes(nextState)) {
+            if (steps >= maxSteps) {
+                throw new StepLimitError(fsm.currentState, args, maxSteps);
+            }
+            const step = await fsm.step(...args);
+            steps++;
+            ({to: nextState, output: args} = step);
+            result = [nextState, ...args];
+            if (finalStates.includes(nextState)) {
+                await fsm.emit(EVENTS.final, {state: nextState, output: args});
+            }
+            yield step;
+        }
+        return result;
+    } catch (e) {
+        error = e instanceof FSMAbortError && e.reason === deadlineExceeded ?
+            new DeadlineExceededError(e.state, e.output, deadline) :
+            e;
+        throw error;
+    } finally {
+        fsm.running = false;
+        fsm.signal = undefined;
+        // timers of an FSM without idleTimers only run during runs
+        if (fsm.idleTimers) {
+            fsm.performFiredTimer();
+        } else {
+            fsm.stopTimers();
+        }
+        cleanup.forEach(fn => fn());
+        const endTime = fsm.clock.now();
+        await fsm.emit(EVENTS.runend, {state: fsm.currentState, output: args, error, steps, startTime, endTime,
+            duration: endTime - startTime});
+    }
+}
+
+/* starts running the FSM until a stopping state is reached, accepts the same options as iterateFSM.
+ * Like signals, deadlines and timeouts, it relies on the global AbortController (node 15 or later).
+ * Returns a handle: {
+ *   result - promise of the [state, ...output] the run ends with,
+ *   pause() - pauses the run before the next transition, returns a promise fulfilled once the run is paused
+ *             (or has ended),
+ *   resume() - resumes a paused run,
+ *   abort(reason) - stops the run with an FSMAbortError,
+ *   paused - true while the run is paused
+ * }
+ */
+const startFSM = (fsm, finalStates, {signal, ...options} = {}, ...args) => {
+    const controller = new AbortController();
+    const removeAbortListener = onAbort(signal, () => controller.abort(signal.reason));
+    const steps = iterateFSM(fsm, finalStates, {signal: controller.signal, ...options}, ...args);
+    let pauseRequest = null, resumeRequest = null, settled = false;
+    const waitWhilePaused = async () => {
+        if (pauseRequest) {
+            handle.paused = true;
+            pauseRequest.resolve();
+            // fsm.signal also aborts when the deadline passes
+            let removeListener;
+            await Promise.race([resumeRequest.promise, new Promise(resolve => {
+                removeListener = onAbort(fsm.signal, resolve);
+            })]);
+            removeListener();
+            handle.paused = false;
+        }
+    };
+    const run = async () => {
+        try {
+            for (;;) {
+                const {done, value} = await steps.next();
+                if (done) {
+                    return value;
+                }
+                await waitWhilePaused();
+            }
+        } finally {
+            settled = true;
+            removeAbortListener();
+            if (pauseRequest) {
+                pauseRequest.resolve();
+            }
+        }
+    };
+    const handle = {
+        paused: false,
+        pause: () => {
+            // there is nothing left to pause once the run has ended
+            if (settled) {
+                return Promise.resolve();
+            }
+            if (!pauseRequest) {
+                pauseRequest = deferred();
+                resumeRequest = deferred();
+            }
+            return pauseRequest.promise;
+        },
+        resume: () => {
+            if (resumeRequest) {
+                resumeRequest.resolve();
+            }
+            pauseRequest = resumeRequest = null;
+        },
+        abort: reason => controller.abort(reason)
+    };
+    handle.result = run();
+    return handle;
+};
+
+// drives a run (see iterateFSM) to its end, resolves to the [state, ...output] it ends with
+const completeRun = async steps => {
+    for (;;) {
+        const {done, value} = await steps.next();
+        if (done) {
+            return value;
+        }
+    }
 };
 
 // keeps running the FSM until a stopping state is reached
-const runFSM = async (fsm, finalStates, ...args) => {
-    let nextState, result;
-    // If only a single stopping state is given, implicitly add ERROR
-    finalStates = Array.isArray(finalStates) ? finalStates : [finalStates, ERROR];
-    while (!finalStates.includes(nextState)) {
-        result = [nextState, ...args] = await fsm.advance(...args);
+const runFSM = (fsm, finalStates, ...args) => completeRun(iterateFSM(fsm, finalStates, {}, ...args));
+
+// the first transition from state which runs a child FSM, if any
+const childTransition = (fsm, state) => (fsm.validTransitions[state] || []).filter(transition => transition.child)[0];
+
+/* makes the transitionFn of a transition from startingState of parent which runs child.fsm from its initial state
+ * until one of child.finalStates is reached. The transitions of the child are emitted as childtransition events
+ * of parent, with startingState prepended to their path.
+ */
+const childTransitionFn = (parent, startingState, child, nextState) => async function runChild(...input) {
+    const {fsm, finalStates, exits} = child;
+    const resume = child.resume;
+    child.resume = undefined;
+    if (!resume) {
+        fsm.currentState = fsm.initialState;
+    }
+    const args = (resume && resume.args) || input;
+    const forward = data => parent.emit(EVENTS.childtransition, {...data, path: [startingState].concat(data.path || [])});
+    const unsubscribers = [fsm.on(EVENTS.posttransition, forward), fsm.on(EVENTS.childtransition, forward)];
+    try {
+        const [state, ...output] = resume && finalStates.includes(fsm.currentState) ?
+            [fsm.currentState, ...args] :
+            await completeRun(iterateFSM(fsm, finalStates.concat([ERROR]), {signal: this.signal}, ...args));
+        const mapped = exits && exits.hasOwnProperty(state);
+        if (state === ERROR && !mapped) {
+            // the child's failure is the failure of the parent's transition
+            throw output[0];
+        }
+        if (nextState) {
+            return output;
+        }
+        return [mapped ? exits[state] : state, ...output];
+    } finally {
+        unsubscribers.forEach(fn => fn());
     }
-    return result;
 };
 
-const replayFSM = (fsm, initialState, finalStates, transitionLog = []) => {
-    // get the transition output for the last successful arrival to initialState
-    const args = (transitionLog.slice().reverse().filter(t => t.to === initialState)[0] || {}).output || [];
-    fsm.currentState = initialState;
-    return runFSM(fsm, finalStates, ...args);
+const samePath = (entry, path) => {
+    const entryPath = entry.path || [];
+    return entryPath.length === path.length && entryPath.every((state, index) => state === path[index]);
+};
+
+// the transition output for the last successful arrival to state by the FSM at path, if any
+const lastArrival = (transitionLog, path, state) =>
+    (transitionLog.slice().reverse().filter(t => t.to === state && samePath(t, path))[0] || {}).output;
+
+/* moves the child FSMs run from the last state of path into the states of childPath, args (if any) replace
+ * the recorded output for the innermost child
+ */
+const resumeChildren = (fsm, path, childPath, transitionLog, args) => {
+    if (childPath.length === 0) {
+        return;
+    }
+    const transition = childTransition(fsm, path[path.length - 1]);
+    if (!transition) {
+        throw new FSMError(`no child FSM is run from state ${getLabel(path[path.length - 1])}`);
+    }
+    const [state, ...rest] = childPath;
+    transition.child.fsm.currentState = state;
+    transition.child.resume = {args: rest.length === 0 && args ? args : lastArrival(transitionLog, path, state)};
+    resumeChildren(transition.child.fsm, path.concat([state]), rest, transitionLog, args);
 };
 
+/* runs fsm from initialState, with the output of the last arrival to initialState in transitionLog.
+ * initialState may also be a path [state, childState, ...], which resumes the child FSM run from state
+ * (see addTransition's child option) in childState, and so on for deeper levels of nesting.
+ * options:
+ * args - arguments to resume the innermost FSM with instead of the recorded output.
+ * Other options (signal, maxSteps, deadline) are passed on to the run, see iterateFSM.
+ */
+const replayFSM = (fsm, initialState, finalStates, transitionLog = [], {args, ...options} = {}) => {
+    const [state, ...childPath] = Array.isArray(initialState) ? initialState : [initialState];
+    const runArgs = (childPath.length === 0 && args) || lastArrival(transitionLog, [], state) || [];
+    fsm.currentState = state;
+    resumeChildren(fsm, [state], childPath, transitionLog, args);
+    return completeRun(iterateFSM(fsm, finalStates, options, ...runArgs));
+};
+
+const SNAPSHOT_VERSION = 1;
+
 class FSM {
-    constructor (initialState = EMPTY) {
-        this.currentState = initialState;
+    /* options:
+     * clock - schedules retry delays and timeouts, see clock.js (default: realClock).
+     * historyLimit - number of recent transitions kept in the history property and in snapshots (default: 0).
+     * mailbox - when set, advance() calls made while the FSM is in transition are queued instead of throwing,
+     *           and performed in order. Steps of runs and timers wait for the transition in progress as well.
+     *           true or an object with the following keys:
+     *           * limit - maximum number of queued calls (default: Infinity).
+     *           * overflow - what happens to calls beyond limit: "reject" fails the new call with a
+     *             MailboxFullError (the default), "drop" fails the oldest queued call with an AdvanceDroppedError.
+     * idleTimers - when true, timed transitions (see addTransition's after option) also run while no run drives
+     *              the FSM, performing the transition as a step of its own. By default, timers only run during
+     *              runs (see iterateFSM) and while a step waits for them (see selectTransition).
+     */
+    constructor (initialState = EMPTY, {clock = realClock, historyLimit = 0, mailbox, idleTimers = false} = {}) {
+        this.clock = clock;
+        this.idleTimers = idleTimers;
+        this.mailbox = normalizeMailbox(mailbox);
+        // advance() calls waiting for their transition in mailbox mode: {input, resolve, reject}
+        this.queue = [];
+        // settled once the queue is empty, while queued calls are being processed
+        this.queueDrained = undefined;
+        this.historyLimit = historyLimit;
+        this.history = [];
+        // output of the last transition, which is the input of the next one when driven by runFSM
+        this.lastOutput = [];
+        this.transitionCount = 0;
+        /* timers of the timed transitions from the current state: {transition, delay, remaining, due, handle, fired}
+         * handle is set while the timer runs, stopped timers keep the remaining milliseconds.
+         */
+        this.timers = [];
+        // set while a step waits for a timer, see selectTransition()
+        this.timerWaiter = undefined;
         this.callbacks = {};
+        this.enterCallbacks = {};
+        this.exitCallbacks = {};
         this.validTransitions = {}
+        this.initialState = initialState;
+        this.currentState = initialState;
         this.inTransition = false;
+        // settled when the transition in progress completes
+        this.transitionEnd = undefined;
+        // true while a run drives the FSM (see iterateFSM)
+        this.running = false;
+        // AbortSignal of the run driving the FSM, if it can be aborted (see startFSM)
+        this.signal = undefined;
+        // recording the FSM is playing back, if any (see playback.js)
+        this.playback = undefined;
+    }
+
+    get currentState() {
+        return this.activeState;
     }
 
+    // every change of state, including transitions back into the same state, restarts the timed transitions
+    set currentState(state) {
+        this.stopTimers();
+        this.activeState = state;
+        this.timers = (this.validTransitions[state] || [])
+            .filter(transition => transition.after !== undefined)
+            .map(transition => ({transition, delay: transition.after, remaining: transition.after}));
+        this.startTimers();
+    }
+
+    // throws an FSMAbortError if the run driving the FSM has been aborted
+    checkAborted(input) {
+        if (this.signal && this.signal.aborted) {
+            throw new FSMAbortError(this.currentState, input, this.signal.reason);
+        }
+    }
+
+    /* registers callback for eventName, returns a function which unregisters it. Events:
+     * pretransition - {from, input}, before a transition.
+     * posttransition - {from, to, transition, input, output, attempts, timing}, after a transition. timing is
+     *                  {startTime, endTime, duration, handlerDuration}: the transition took duration milliseconds
+     *                  (according to the FSM's clock) until the state changed, handlerDuration of them were spent
+     *                  in pretransition handlers.
+     * transitionattempt - {from, transition, input, attempt, startTime, duration, error, retryDelay},
+     *                     after each call of a transitionFn.
+     * transitionerror - {from, transition, input, error, errorState}, when a transitionFn failed (after its
+     *                   last retry), before the FSM moves to errorState.
+     * childtransition - posttransition data of a child FSM's transition with its path, see addTransition.
+     * timererror - {from, transition, error}, when a timed transition performed by its timer failed, eg. because
+     *              an event handler threw.
+     * compensation - {time, entry, error}, after a compensation was called, see saga.js.
+     * runstart - {state, input, startTime}, when a run (see iterateFSM) starts.
+     * runend - {state, output, error, steps, startTime, endTime, duration}, when a run ends, where error is
+     *          set if the run failed. Times are milliseconds according to the FSM's clock.
+     * final - {state, output}, when a run (see iterateFSM) reaches one of its final states.
+     * divergence - see playback.js.
+     */
     on(eventName, callback) {
         saveToHashList(this.callbacks, eventName, callback);
+        return () => this.off(eventName, callback);
+    }
+
+    // unregisters callback, which was registered with on() or once()
+    off(eventName, callback) {
+        removeFromHashList(this.callbacks, eventName, callback);
+    }
+
+    // registers callback for the next occurrence of eventName only, returns a function which unregisters it
+    once(eventName, callback) {
+        const listener = (...args) => {
+            this.off(eventName, listener);
+            return callback(...args);
+        };
+        listener.callback = callback;
+        return this.on(eventName, listener);
     }
 
+    /* registers callback for transitions into state, returns a function which unregisters it.
+     * Called with the posttransition event data after currentState changed, before posttransition handlers.
+     */
+    onEnter(state, callback) {
+        saveToHashList(this.enterCallbacks, state, callback);
+        return () => removeFromHashList(this.enterCallbacks, state, callback);
+    }
+
+    /* registers callback for transitions out of state, returns a function which unregisters it.
+     * Called with the posttransition event data after currentState changed, before onEnter handlers.
+     */
+    onExit(state, callback) {
+        saveToHashList(this.exitCallbacks, state, callback);
+        return () => removeFromHashList(this.exitCallbacks, state, callback);
+    }
+
+    // invokes the handlers registered for eventName, returns a promise fulfilled when they all complete
+    emit(eventName, ...args) {
+        return callbackHashList(this.callbacks, eventName, ...args);
+    }
+
+    /* invokes transition.transitionFn, retrying failed attempts and timing out attempts according to the
+     * transition's retry and timeout policies. Emits a transitionattempt event and adds an entry to attempts
+     * for every attempt. Resolves to {result} or {error} of the last attempt.
+     */
+    async invokeTransitionFn(from, transition, input, attempts) {
+        const retryPolicy = transition.retry || DEFAULT_RETRY_POLICY;
+        for (let attempt = 1; ; attempt++) {
+            const startTime = this.clock.now();
+            const outcome = await invokeAttempt(this.clock, transition.transitionFn, input,
+                {signal: this.signal, timeout: transition.timeout, attempt, withContext: transition.withContext})
+                .then(result => ({result}), error => ({error}));
+            // an aborted run leaves the FSM in its current state
+            this.checkAborted(input);
+            const failed = outcome.hasOwnProperty('error');
+            const willRetry = failed && attempt < retryPolicy.maxAttempts && !!retryPolicy.retryable(outcome.error, attempt);
+            const attemptData = {
+                attempt,
+                startTime,
+                duration: this.clock.now() - startTime,
+                error: outcome.error,
+                retryDelay: willRetry ? backoffDelay(retryPolicy, attempt) : undefined
+            };
+            attempts.push(attemptData);
+            await callbackHashList(this.callbacks, EVENTS.transitionattempt, {from, transition, input, ...attemptData});
+            if (!willRetry) {
+                return outcome;
+            }
+            await sleep(this.clock, attemptData.retryDelay, this.signal);
+            this.checkAborted(input);
+        }
+    }
+
+    // runs the FSM from its current state, see iterateFSM
+    run(finalStates, ...args) {
+        return iterateFSM(this, finalStates, {}, ...args);
+    }
+
+    // performs a single transition, returns [nextState, ...transitionOutput]. See the mailbox option for concurrent calls.
     async advance(...transitionInput) {
-        if (this.inTransition) {
-            throw new FSMError("cannot advance while in transition");
+        if (this.mailbox) {
+            return this.enqueue(transitionInput);
         }
-        this.inTransition = true;
-        try {
-            await callbackHashList(this.callbacks, EVENTS.pretransition, {
-                from: this.currentState,
-                input: transitionInput
-            });
-        } catch (e) {
-            this.inTransition = false;
-            throw e;
-        }
-        let nextState, attemptedTransition, attemptResult, transitionOutput = [];
-        if (this.validTransitions.hasOwnProperty(this.currentState)) {
-            for (let transitionIndex = 0;
-                !nextState && transitionIndex < this.validTransitions[this.currentState].length;
-                transitionIndex++) {
-                attemptedTransition = this.validTransitions[this.currentState][transitionIndex];
-                transitionOutput = [];
-                try {
-                    // if the transition defines nextState, let's use it!
-                    nextState = attemptedTransition.nextState;
-                    // if the transition has a transitionFn, let's run it!
-                    if (attemptedTransition.transitionFn) {
-                        attemptResult = await invokePromiseFn(attemptedTransition.transitionFn, ...transitionInput);
-                        if (attemptResult) {
-                            if (Array.isArray(attemptResult)) {
-                                if (!nextState) {
-                                    // transitionFunction returned an array and transition had no specified nextState
-                                    [nextState, ...transitionOutput] = attemptResult;
-                                } else {
-                                    // transitionFunction returned an array and transition had a specified nextState
-                                    transitionOutput = attemptResult;
-                                }
-                            } else {
-                                if (!nextState) {
-                                    // transitionFunction returned a non-array and transition had no specified nextState
-                                    nextState = attemptResult;
-                                } else {
-                                    // transitionFunction returned a non-array and transition had a specified nextState
-                                    transitionOutput = [attemptResult];
-                                }
-                            } 
-                        }
+        const {to, output} = await this.step(...transitionInput);
+        return [to, ...output];
+    }
+
+    enqueue(input) {
+        const {limit, overflow} = this.mailbox;
+        if (this.queueDrained && this.queue.length >= limit) {
+            if (overflow === "reject" || limit === 0) {
+                return Promise.reject(new MailboxFullError(limit));
+            }
+            const dropped = this.queue.shift();
+            dropped.reject(new AdvanceDroppedError("overflow", dropped.input));
+        }
+        const request = {input, ...deferred()};
+        this.queue.push(request);
+        if (!this.queueDrained) {
+            this.processQueue();
+        }
+        return request.promise;
+    }
+
+    async processQueue() {
+        this.queueDrained = deferred();
+        while (this.queue.length > 0) {
+            const {input, resolve, reject} = this.queue.shift();
+            try {
+                const {to, output} = await this.step(...input);
+                resolve([to, ...output]);
+            } catch (e) {
+                reject(e);
+            }
+        }
+        const {resolve} = this.queueDrained;
+        this.queueDrained = undefined;
+        resolve();
+    }
+
+    // number of advance() calls waiting in the mailbox
+    get queued() {
+        return this.queue.length;
+    }
+
+    // returns a promise fulfilled once all queued advance() calls have been performed
+    drain() {
+        return this.queueDrained ? this.queueDrained.promise : Promise.resolve();
+    }
+
+    // fails all queued advance() calls with an AdvanceDroppedError, returns their number
+    clearQueue() {
+        const cleared = this.queue.splice(0);
+        cleared.forEach(({input, reject}) => reject(new AdvanceDroppedError("cleared", input)));
+        return cleared.length;
+    }
+
+    // tries a single transition, returns {to, transition, output, attempts} where to is undefined if it does not apply
+    async attemptTransition(attemptedTransition, transitionInput) {
+        let nextState, attemptResult, attempts = [], transitionOutput = [];
+        // if the transition defines nextState, let's use it!
+        nextState = attemptedTransition.nextState;
+        // if the transition has a transitionFn, let's run it!
+        if (attemptedTransition.transitionFn) {
+            const outcome = await this.invokeTransitionFn(this.currentState, attemptedTransition, transitionInput, attempts);
+            attemptResult = outcome.result;
+            if (outcome.hasOwnProperty('error')) {
+                // promise rejection / exception in transitionFn (after the last retry)
+                nextState = attemptedTransition.errorState || ERROR;
+                transitionOutput = [outcome.error];
+                await callbackHashList(this.callbacks, EVENTS.transitionerror, {
+                    from: this.currentState,
+                    transition: attemptedTransition,
+                    input: transitionInput,
+                    error: outcome.error,
+                    errorState: nextState});
+            } else if (attemptResult) {
+                if (Array.isArray(attemptResult)) {
+                    if (!nextState) {
+                        // transitionFunction returned an array and transition had no specified nextState
+                        [nextState, ...transitionOutput] = attemptResult;
+                    } else {
+                        // transitionFunction returned an array and transition had a specified nextState
+                        transitionOutput = attemptResult;
+                    }
+                } else {
+                    if (!nextState) {
+                        // transitionFunction returned a non-array and transition had no specified nextState
+                        nextState = attemptResult;
+                    } else {
+                        // transitionFunction returned a non-array and transition had a specified nextState
+                        transitionOutput = [attemptResult];
                     }
-                    // if nextState still not defined,  let's try next transition from starting state in the next iteration
-                } catch (e) {
-                    // promise rejection / exception in transitionFn
-                    nextState = attemptedTransition.errorState || ERROR;
-                    transitionOutput = [e];
                 }
             }
-        } 
-        if (!nextState) {
+        }
+        return {to: nextState, transition: attemptedTransition, output: transitionOutput, attempts};
+    }
+
+    /* tries the transitions from the current state in order of priority, returns
+     * {to, transition, output, attempts} for the first applicable one without changing currentState.
+     */
+    async selectTransition(transitionInput) {
+        let selected = {};
+        // timed transitions (see addTransition's after option) are only taken when their timer fires
+        const transitions = (this.validTransitions[this.currentState] || []).filter(transition => transition.after === undefined);
+        for (let transitionIndex = 0; !selected.to && transitionIndex < transitions.length; transitionIndex++) {
+            // if nextState still not defined, let's try next transition from starting state in the next iteration
+            selected = await this.attemptTransition(transitions[transitionIndex], transitionInput);
+        }
+        if (!selected.to && this.timers.length > 0) {
+            // none of the other transitions applies (yet), wait for a timed one
+            return this.attemptTimedTransition(await this.waitForTimer(transitionInput), transitionInput);
+        }
+        if (!selected.to) {
             // no valid state starting from current state
             throw new FSMError(`No valid transition from state ${getLabel(this.currentState)}`);
         }
-        const prevState = this.currentState;
-        this.currentState = nextState;
+        return selected;
+    }
+
+    async attemptTimedTransition(timer, transitionInput) {
+        const selected = await this.attemptTransition(timer.transition, transitionInput);
+        if (!selected.to) {
+            throw new FSMError(`timed transition from state ${getLabel(this.currentState)} selected no next state`);
+        }
+        return {...selected, cause: {type: "after", delay: timer.delay}};
+    }
+
+    /* resolves with the next timer to fire (or one which has fired already), rejects with an FSMAbortError when
+     * the run driving the FSM is aborted
+     */
+    waitForTimer(transitionInput) {
+        const fired = this.takeFiredTimer();
+        if (fired) {
+            return Promise.resolve(fired);
+        }
+        return new Promise((resolve, reject) => {
+            const removeAbortListener = onAbort(this.signal, () => {
+                this.timerWaiter = undefined;
+                reject(new FSMAbortError(this.currentState, transitionInput, this.signal.reason));
+            });
+            if (!this.signal || !this.signal.aborted) {
+                this.timerWaiter = timer => {
+                    this.timerWaiter = undefined;
+                    removeAbortListener();
+                    // timers started for an advance() outside of runs stop with its wait
+                    if (!this.idleTimers && !this.running) {
+                        this.stopTimers();
+                    }
+                    resolve(timer);
+                };
+                this.startTimers();
+            }
+        });
+    }
+
+    /* schedules the stopped timers, which continue from their remaining time. Timers only run while a run
+     * drives the FSM or a step waits for them, unless the idleTimers option is set.
+     */
+    startTimers() {
+        if (!this.idleTimers && !this.running && !this.timerWaiter) {
+            return;
+        }
+        this.timers.filter(timer => !timer.handle && !timer.fired).forEach(timer => {
+            timer.due = this.clock.now() + timer.remaining;
+            timer.handle = this.clock.setTimeout(() => this.fireTimer(timer), timer.remaining);
+        });
+    }
+
+    // unschedules the running timers, keeping their remaining time
+    stopTimers() {
+        this.timers.filter(timer => timer.handle).forEach(timer => {
+            this.clock.clearTimeout(timer.handle);
+            timer.handle = undefined;
+            timer.remaining = Math.max(0, timer.due - this.clock.now());
+        });
+    }
+
+    fireTimer(timer) {
+        timer.handle = undefined;
+        timer.remaining = 0;
+        timer.fired = true;
+        this.performFiredTimer();
+    }
+
+    // removes the first fired timer from the pending ones and returns it, if there is one
+    takeFiredTimer() {
+        const timer = this.timers.find(({fired}) => fired);
+        this.timers = this.timers.filter(pending => pending !== timer);
+        return timer;
+    }
+
+    /* performs the timed transition of a fired timer. When a step is waiting for a timer, it performs the
+     * transition. When the FSM is idle (and no run drives it, see the idleTimers option), the transition is a
+     * step of its own, which reports its errors as timererror events. While the FSM is busy with a transition
+     * (eg. running the handlers of the transition into the timer's state), the timer stays fired until the
+     * transition has completed, or until the next step of the run driving the FSM.
+     */
+    performFiredTimer() {
+        if (!this.timers.some(({fired}) => fired)) {
+            return;
+        }
+        if (this.timerWaiter) {
+            this.timerWaiter(this.takeFiredTimer());
+        } else if (!this.inTransition && !this.running && !this.playback) {
+            const from = this.currentState;
+            const timer = this.takeFiredTimer();
+            this.performStep(this.lastOutput, timer).catch(error => this.emit(EVENTS.timererror, {
+                from,
+                transition: timer.transition,
+                error
+            }).catch(() => {}));
+        }
+    }
+
+    // performs a single transition, returns {from, to, transition, input, output, attempts, timing, time}
+    async step(...transitionInput) {
+        return this.performStep(transitionInput);
+    }
+
+    // performs the transition chosen by selectTransition(), or the timed transition of timer
+    async performStep(transitionInput, timer) {
+        if (this.inTransition && !this.mailbox) {
+            throw new FSMError("cannot advance while in transition");
+        }
+        // in mailbox mode, steps take turns
+        while (this.inTransition) {
+            await this.transitionEnd.promise;
+        }
+        this.inTransition = true;
+        this.transitionEnd = deferred();
         // try{} because event handlers can throw their own exceptions
         try {
-            await callbackHashList(this.callbacks, EVENTS.posttransition, {
-                from: prevState,
-                to: nextState,
-                transition: attemptedTransition,
-                input: transitionInput,
-                output: transitionOutput});
-            return [this.currentState, ...transitionOutput];
+            this.checkAborted(transitionInput);
+            const startTime = this.clock.now();
+            await callbackHashList(this.callbacks, EVENTS.pretransition, {
+                from: this.currentState,
+                input: transitionInput
+            });
+            const selectionTime = this.clock.now();
+            // in playback mode, the outcome of the transition is taken from a recording (see playback.js)
+            const {to, transition, output, attempts, cause} = this.playback ?
+                await this.playback.play(this, transitionInput) :
+                await (timer ? this.attemptTimedTransition(timer, transitionInput) : this.selectTransition(transitionInput));
+            const endTime = this.clock.now();
+            const timing = {startTime, endTime, duration: endTime - startTime, handlerDuration: selectionTime - startTime};
+            const transitionData = {from: this.currentState, to, transition, input: transitionInput, output, attempts, timing};
+            if (cause) {
+                // the transition was not triggered by advance(), but eg. by a timer
+                transitionData.cause = cause;
+            }
+            this.currentState = to;
+            this.lastOutput = output;
+            this.transitionCount++;
+            if (this.historyLimit > 0) {
+                this.history = this.history.concat([{time: new Date(), ...transitionData}]).slice(-this.historyLimit);
+            }
+            await callbackHashList(this.exitCallbacks, transitionData.from, transitionData);
+            await callbackHashList(this.enterCallbacks, to, transitionData);
+            await callbackHashList(this.callbacks, EVENTS.posttransition, transitionData);
+            return {...transitionData, time: new Date()};
         } finally {
             // take FSM out of 'inTransition' state even if an event handler throw exception
             this.inTransition = false;
+            this.transitionEnd.resolve();
+            this.performFiredTimer();
         }
     }
-    
+
+    /* states which appear in the FSM's transitions, either as starting state or as a possible next state, and
+     * for FSMs built from a definition (see definition.js), its declared states, finalStates and ERROR
+     */
+    knownStates() {
+        const states = new Set([this.initialState]);
+        if (this.definition) {
+            // required here, definition.js depends on this module
+            const {normalizeDefinition} = require('./definition.js');
+            const definition = normalizeDefinition(this.definition);
+            definition.states.concat(definition.finalStates, [ERROR]).forEach(state => states.add(state));
+        }
+        Reflect.ownKeys(this.validTransitions).forEach(startingState => {
+            states.add(startingState);
+            this.validTransitions[startingState].forEach(({transitionFn, nextState, errorState, targets}) => {
+                [nextState, ...(targets || [])].filter(Boolean).forEach(state => states.add(state));
+                if (transitionFn) {
+                    states.add(errorState || ERROR);
+                }
+            });
+        });
+        return states;
+    }
+
+    /* returns a serializable (see logformat.js) snapshot of the FSM's runtime state:
+     * {version, state, output, transitionCount, history, timers}
+     * output is the output of the last transition, history holds the last historyLimit transitions.
+     * timers lists the pending timed transitions as {index, delay, remaining}, where index is the
+     * transition's priority index and remaining the milliseconds left until it fires.
+     */
+    snapshot() {
+        if (this.inTransition) {
+            throw new FSMError("cannot snapshot while in transition");
+        }
+        return {
+            version: SNAPSHOT_VERSION,
+            state: this.currentState,
+            output: this.lastOutput,
+            transitionCount: this.transitionCount,
+            history: this.history.slice(),
+            timers: this.timers.map(({transition, delay, remaining, due, handle}) => ({
+                index: this.validTransitions[this.currentState].indexOf(transition),
+                delay,
+                remaining: handle ? Math.max(0, due - this.clock.now()) : remaining
+            }))
+        };
+    }
+
+    /* restores the runtime state captured by snapshot(). Continue the run with:
+     *   runFSM(fsm, finalStates, ...snapshot.output)
+     */
+    restore({version, state, output = [], transitionCount = 0, history = [], timers}) {
+        if (version !== SNAPSHOT_VERSION) {
+            throw new FSMError(`unsupported snapshot version ${version}`);
+        }
+        if (this.inTransition) {
+            throw new FSMError("cannot restore while in transition");
+        }
+        if (!this.knownStates().has(state)) {
+            throw new FSMError(`cannot restore snapshot in state ${getLabel(state)}, which is unknown to the FSM's transitions`);
+        }
+        this.currentState = state;
+        this.lastOutput = output;
+        this.transitionCount = transitionCount;
+        this.history = this.historyLimit > 0 ? history.slice(-this.historyLimit) : [];
+        if (timers) {
+            // continue the pending timers instead of starting them over
+            const transitions = this.validTransitions[state] || [];
+            this.stopTimers();
+            this.timers = timers.filter(({index}) => transitions[index] && transitions[index].after !== undefined)
+                .map(({index, delay, remaining}) => ({transition: transitions[index], delay, remaining}));
+            this.startTimers();
+        }
+        return this;
+    }
+
+    // builds an FSM from a declarative definition (see definition.js) and restores snapshot
+    static restore(definition, snapshot, options) {
+        // required here, definition.js depends on this module
+        const {createFSM} = require('./definition.js');
+        return createFSM(definition, options).restore(snapshot);
+    }
+
     /* addTransition options:
      * startingState - FSM state from which the transition is applicable
      * errorState - the state to transition to if any error occurs during evaluation of transitionFn
@@ -163,15 +997,95 @@ class FSM {
      *             * An array of [nextState, ...transitionOutput] form.
      *             Promise rejection / exceptions during transitionFn will lead to errorState, which by
      *             default is ERROR defined in this module.
+     * retry - optional retry policy for failed transitionFn attempts, an object with the following keys:
+     *           * maxAttempts - number of times transitionFn is called before giving up (default: 1).
+     *           * initialDelay - milliseconds to wait before the first retry (default: 0).
+     *           * factor - each further retry waits factor times longer than the previous one (default: 2).
+     *           * maxDelay - upper limit for the delay between attempts (default: Infinity).
+     *           * jitter - fraction of the delay which is randomly subtracted from it, between 0 and 1 (default: 0).
+     *           * retryable - predicate called with (error, attempt), only errors it returns true for are retried.
+     *           * random - source of random numbers in [0, 1) for the jitter (default: Math.random).
+     *           errorState is only entered once the last attempt has failed.
+     * timeout - optional limit in milliseconds for each transitionFn attempt. Attempts which take longer fail
+     *           with a TransitionTimeoutError.
+     * withContext - when true, transitionFn receives the context of its attempt as an extra last argument.
+     *           transitionFn is always called with the context as this: {signal, attempt}, where signal is the
+     *           AbortSignal of the run driving the FSM (aborted as well when the attempt times out) and attempt
+     *           counts the attempts from 1. Arrow functions have no this of their own, they need withContext
+     *           to see the context.
+     * targets - optional list of the states transitionFn may return when nextState is not defined.
+     *           Only used for documentation and static analysis of the FSM (see definition.js).
+     * child - runs a child FSM instead of a transitionFn, an object with the following keys:
+     *           * fsm - the child FSM, which is run from its initial state with the transition's input.
+     *           * finalStates - the states which end the child's run.
+     *           * exits - optional object mapping final states of the child to states of the parent.
+     *           Unless nextState is defined, the parent moves to the state the child's final state maps to
+     *           (or to the child's final state itself) with the child's output. When the child ends in ERROR
+     *           (and exits does not map it), the parent moves to errorState. The child's transitions are emitted
+     *           as childtransition events with path [startingState], so they appear in logs (see
+     *           logTransitions) and replayFSM() can resume the child.
+     * after - makes the transition a timed transition: it is taken after the FSM has spent after milliseconds in
+     *         startingState, unless another transition happened first. Every transition, including one back
+     *         into startingState, restarts the timer. Timers run while a run (eg. runFSM) drives the FSM: a step for
+     *         which no other transition applies waits for the timer. When a run ends, the timers stop and
+     *         continue with the next run. With the FSM's idleTimers option, they also run while the FSM is idle
+     *         and perform the transition with the last transition's output as input. Timers are scheduled by the
+     *         FSM's clock, and the transition's log entry has a cause: {type: "after", delay}. Use it for state
+     *         timeouts, delayed retries or polling.
+     * compensate - optional function which undoes the effects of the transition, called with the transition's
+     *              input and output (as arrays) and its log entry when a later step fails. See saga.js.
      * prepend - when true, the new transition has the highest priority for all transitions from startingState.
      *           by default, prepend is false and new transitions have lower priority than those previously registered.
      */
-    addTransition (startingState, {transitionFn, nextState, errorState}, prepend) {
+    addTransition (startingState, {transitionFn, child, nextState, errorState, targets, retry, timeout, after,
+        compensate, withContext = false}, prepend) {
+        if (child) {
+            if (transitionFn) {
+                throw new FSMError(`cannot add transition from ${getLabel(startingState)} with both a transitionFn and a child FSM`);
+            }
+            if (!(child.fsm instanceof FSM)) {
+                throw new FSMError(`child of transition from ${getLabel(startingState)} must have an FSM as its fsm`);
+            }
+            child = {fsm: child.fsm, finalStates: normalizeFinalStates(child.finalStates), exits: child.exits};
+            transitionFn = childTransitionFn(this, startingState, child, nextState);
+            if (!nextState && !targets) {
+                targets = child.exits ? Reflect.ownKeys(child.exits).map(key => child.exits[key]) : child.finalStates;
+            }
+        }
         if (!transitionFn && !nextState) {
             throw new FSMError(`cannot add transition from ${getLabel(startingState)} without a transitionFn or nextState defined`);
         }
-        saveToHashList(this.validTransitions, startingState, {transitionFn, nextState, errorState}, prepend);
+        if ((retry || timeout !== undefined) && !transitionFn) {
+            throw new FSMError(`cannot add retry or timeout policy to transition from ${getLabel(startingState)} without a transitionFn`);
+        }
+        if (withContext && (child || !transitionFn)) {
+            throw new FSMError(`withContext of transition from ${getLabel(startingState)} requires a transitionFn`);
+        }
+        if (timeout !== undefined && !(timeout > 0)) {
+            throw new FSMError("timeout must be a positive number of milliseconds");
+        }
+        if (after !== undefined && !(after >= 0)) {
+            throw new FSMError("after must be a non-negative number of milliseconds");
+        }
+        if (compensate !== undefined && typeof compensate !== 'function') {
+            throw new FSMError(`compensate of transition from ${getLabel(startingState)} must be a function`);
+        }
+        const transition = {
+            transitionFn, child, nextState, errorState, targets,
+            retry: retry && normalizeRetryPolicy(retry),
+            timeout,
+            withContext,
+            after,
+            compensate
+        };
+        saveToHashList(this.validTransitions, startingState, transition, prepend);
+        if (after !== undefined && startingState === this.currentState) {
+            this.timers.push({transition, delay: after, remaining: after});
+            this.startTimers();
+        }
     }
 };
 
-module.exports = {EMPTY, ERROR, FSM, FSMError, runFSM, replayFSM, logTransitions, makeStates};
+module.exports = {EMPTY, ERROR, SNAPSHOT_VERSION, FSM, FSMError, TransitionTimeoutError, FSMRunError, FSMAbortError, StepLimitError,
+    DeadlineExceededError, MailboxFullError, AdvanceDroppedError, iterateFSM, startFSM, runFSM, replayFSM, completeRun, childTransition,
+    logTransitions, stopLogging, subscribeLog, makeStates, getLabel, EVENTS, normalizeFinalStates};
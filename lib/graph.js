@@ -0,0 +1,160 @@
+/* Renders the transition graph of an FSM instance or a declarative definition (see definition.js)
+ * as Graphviz DOT or Mermaid stateDiagram.
+ *
+ * Edges are labelled with their priority index within validTransitions of the starting state:
+ *   - solid edges lead to a transition's nextState,
+ *   - dashed edges lead to the states a transitionFn may choose (the declared targets, or a "?" node
+ *     when the transition has none),
+ *   - red edges lead to errorState (or ERROR).
+ * When a transition log (see logTransitions) is given, the states and edges taken by the run are
+ * highlighted and annotated with visit counts.
+ */
+
+const {FSM, EMPTY, ERROR, getLabel} = require('./fsm.js');
+const {normalizeDefinition} = require('./definition.js');
+
+const EDGE_KINDS = {next: "next", dynamic: "dynamic", error: "error", observed: "observed"};
+// pseudo-state for the targets of transitionFns which don't declare their targets
+const ANY_STATE = Symbol("?");
+
+const normalizeFSM = fsm => ({
+    initialState: fsm.initialState,
+    finalStates: fsm.definition ? normalizeDefinition(fsm.definition).finalStates : [],
+    transitions: Reflect.ownKeys(fsm.validTransitions).map(state => [state, fsm.validTransitions[state]])
+});
+
+/* returns {initialState, states, finalStates, edges} where each edge is
+ * {from, to, index, kind, transition, visits}. options:
+ * finalStates - states to mark as final, defaults to the definition's finalStates.
+ * transitionLog - log of a run to overlay. Log entries which match no edge are added as "observed" edges.
+ */
+const toGraph = (fsmOrDefinition, {finalStates, transitionLog} = {}) => {
+    const normalized = fsmOrDefinition instanceof FSM ? normalizeFSM(fsmOrDefinition) : normalizeDefinition(fsmOrDefinition);
+    finalStates = finalStates || normalized.finalStates;
+    const edges = [];
+    normalized.transitions.forEach(([from, transitions]) => transitions.forEach((transition, index) => {
+        const addEdge = (to, kind) => edges.push({from, to, index, kind, transition, visits: 0});
+        if (transition.nextState) {
+            addEdge(transition.nextState, EDGE_KINDS.next);
+        } else if (transition.transitionFn || transition.child) {
+            (transition.targets || [ANY_STATE]).forEach(to => addEdge(to, EDGE_KINDS.dynamic));
+        }
+        if (transition.transitionFn || transition.child) {
+            addEdge(transition.errorState || ERROR, EDGE_KINDS.error);
+        }
+    }));
+    const visits = new Map();
+    const countVisit = state => visits.set(state, (visits.get(state) || 0) + 1);
+    // entries of child FSMs (which have a path) are not transitions of this FSM
+    (transitionLog || []).filter(entry => !entry.path).forEach(({from, to, transition}, logIndex) => {
+        if (logIndex === 0) {
+            countVisit(from);
+        }
+        countVisit(to);
+        const candidates = edges.filter(edge => edge.from === from && edge.to === to);
+        let edge = candidates.find(edge => edge.transition === transition) || candidates[0];
+        if (!edge) {
+            edge = {from, to, index: null, kind: EDGE_KINDS.observed, transition, visits: 0};
+            edges.push(edge);
+        }
+        edge.visits++;
+    });
+    const states = [];
+    const addState = state => states.includes(state) || states.push(state);
+    [normalized.initialState, ...(normalized.states || [])].forEach(addState);
+    edges.forEach(({from, to}) => [from, to].forEach(addState));
+    finalStates.forEach(addState);
+    return {initialState: normalized.initialState, states, finalStates, edges, visits};
+};
+
+const edgeLabel = ({index, kind, transition, visits}) => [
+    index === null ? "" : `#${index}`,
+    kind === EDGE_KINDS.error ? "error" : (transition && transition.transitionFn && transition.transitionFn.name) || "",
+    kind !== EDGE_KINDS.error && transition && transition.after !== undefined ? `after ${transition.after}ms` : "",
+    visits > 0 ? `(${visits}x)` : ""
+].filter(Boolean).join(" ");
+
+const stateLabel = (state, visits) => getLabel(state) + (visits.get(state) ? ` (${visits.get(state)}x)` : "");
+
+const stateIds = states => new Map(states.map((state, i) => [state, `s${i}`]));
+
+const quote = str => `"${str.replace(/\\/g, "\\\\").replace(/"/g, "\\\"")}"`;
+
+const toDOT = (fsmOrDefinition, options) => {
+    const {initialState, states, finalStates, edges, visits} = toGraph(fsmOrDefinition, options);
+    const ids = stateIds(states);
+    const nodeAttributes = state => {
+        const attributes = {label: quote(stateLabel(state, visits))};
+        if (finalStates.includes(state)) {
+            attributes.shape = "doublecircle";
+        }
+        if (state === ERROR) {
+            Object.assign(attributes, {shape: "octagon", color: "red"});
+        }
+        if (state === EMPTY) {
+            attributes.style = "dashed";
+        }
+        if (state === ANY_STATE) {
+            attributes.shape = "none";
+        }
+        if (visits.has(state)) {
+            attributes.penwidth = 2;
+        }
+        return attributes;
+    };
+    const edgeAttributes = edge => {
+        const attributes = {label: quote(edgeLabel(edge))};
+        if (edge.kind === EDGE_KINDS.dynamic) {
+            attributes.style = "dashed";
+        }
+        if (edge.kind === EDGE_KINDS.error) {
+            attributes.color = "red";
+        }
+        if (edge.kind === EDGE_KINDS.observed) {
+            attributes.style = "dotted";
+        }
+        if (edge.visits > 0) {
+            Object.assign(attributes, {penwidth: 2, color: "blue"});
+        }
+        return attributes;
+    };
+    const formatAttributes = attributes => `[${Object.keys(attributes).map(key => `${key}=${attributes[key]}`).join(", ")}]`;
+    return [
+        "digraph FSM {",
+        "    __start [shape=point];",
+        ...states.map(state => `    ${ids.get(state)} ${formatAttributes(nodeAttributes(state))};`),
+        `    __start -> ${ids.get(initialState)};`,
+        ...edges.map(edge => `    ${ids.get(edge.from)} -> ${ids.get(edge.to)} ${formatAttributes(edgeAttributes(edge))};`),
+        "}",
+        ""
+    ].join("\n");
+};
+
+const toMermaid = (fsmOrDefinition, options) => {
+    const {initialState, states, finalStates, edges, visits} = toGraph(fsmOrDefinition, options);
+    const ids = stateIds(states);
+    const mermaidLabel = edge => {
+        const label = edgeLabel(edge);
+        return edge.kind === EDGE_KINDS.dynamic ? `${label} (dynamic)` :
+            edge.kind === EDGE_KINDS.observed ? `${label} (observed)` : label;
+    };
+    const classes = [
+        ["error", states.filter(state => state === ERROR)],
+        ["empty", states.filter(state => state === EMPTY)],
+        ["visited", states.filter(state => visits.has(state))]
+    ].filter(([_className, classStates]) => classStates.length > 0);
+    return [
+        "stateDiagram-v2",
+        ...states.map(state => `    state ${quote(stateLabel(state, visits))} as ${ids.get(state)}`),
+        `    [*] --> ${ids.get(initialState)}`,
+        ...edges.map(edge => `    ${ids.get(edge.from)} --> ${ids.get(edge.to)} : ${mermaidLabel(edge).replace(/[:;]/g, " ")}`),
+        ...finalStates.map(state => `    ${ids.get(state)} --> [*]`),
+        "    classDef error fill:#f88,stroke:#c00",
+        "    classDef empty stroke-dasharray:5 5",
+        "    classDef visited stroke:#00f,stroke-width:3px",
+        ...classes.map(([className, classStates]) => `    class ${classStates.map(state => ids.get(state)).join(",")} ${className}`),
+        ""
+    ].join("\n");
+};
+
+module.exports = {EDGE_KINDS, ANY_STATE, toGraph, toDOT, toMermaid};
@@ -0,0 +1,154 @@
+/* Durable transition journals and crash-resume.
+ *
+ * A journal is any object with the following async methods:
+ *   append(entry) - durably records a transition log entry ({time, from, to, transition, input, output}).
+ *   read()        - returns the list of recorded entries, oldest first.
+ * journalTransitions() hooks a journal into an FSM's posttransition event, resumeFSM() continues a run
+ * from the last entry of a journal.
+ */
+
+const fs = require('fs');
+const {FSMError, runFSM, replayFSM, normalizeFinalStates, subscribeLog} = require('./fsm.js');
+const {makeLogCodec} = require('./logformat.js');
+
+class MemoryJournal {
+    constructor (entries = []) {
+        this.entries = entries.slice();
+    }
+
+    async append(entry) {
+        this.entries.push(entry);
+    }
+
+    async read() {
+        return this.entries.slice();
+    }
+};
+
+// returns undefined for lines which are not complete JSON objects, eg. records cut short by a crash
+const parseRecord = line => {
+    try {
+        const record = JSON.parse(line);
+        return record !== null && typeof record === 'object' && !Array.isArray(record) ? record : undefined;
+    } catch (e) {
+        return undefined;
+    }
+};
+
+/* FileJournal writes the NDJSON transition log format (see logformat.js) to an append-only file.
+ * options:
+ * codec - log codec created by makeLogCodec(), needed when states are Symbols or outputs hold custom types.
+ * fsync - when true (the default), each append is flushed to disk before the transition completes.
+ */
+class FileJournal {
+    constructor (path, {codec = makeLogCodec(), fsync = true} = {}) {
+        this.path = path;
+        this.codec = codec;
+        this.fsync = fsync;
+        // number of corrupt trailing records skipped by the last read()
+        this.skippedRecords = 0;
+        this.needsRepair = true;
+    }
+
+    async readFile() {
+        try {
+            return await fs.promises.readFile(this.path, 'utf8');
+        } catch (e) {
+            if (e.code === 'ENOENT') {
+                return "";
+            }
+            throw e;
+        }
+    }
+
+    // drops records cut short by a crash so new records are not appended after them, returns the header for new files
+    async repairTail() {
+        const contents = await this.readFile();
+        const lines = contents.split("\n");
+        let validLines = lines.length;
+        while (validLines > 0 && !parseRecord(lines[validLines - 1])) {
+            validLines--;
+        }
+        const validText = lines.slice(0, validLines).map(line => line + "\n").join("");
+        if (validText.length > contents.length) {
+            // last record is complete but lacks its newline
+            return "\n";
+        }
+        if (validText.length < contents.length) {
+            await fs.promises.truncate(this.path, Buffer.byteLength(validText));
+        }
+        return validLines > 0 ? "" : this.codec.stringifyNDJSON([]);
+    }
+
+    async append(entry) {
+        let data = this.codec.stringifyLine(entry) + "\n";
+        if (this.needsRepair) {
+            data = (await this.repairTail()) + data;
+            this.needsRepair = false;
+        }
+        const handle = await fs.promises.open(this.path, 'a');
+        try {
+            await handle.appendFile(data);
+            if (this.fsync) {
+                await handle.datasync();
+            }
+        } finally {
+            await handle.close();
+        }
+    }
+
+    async read() {
+        const records = [];
+        const corruptLines = [];
+        (await this.readFile()).split("\n").forEach((line, lineIndex) => {
+            if (!line.trim()) {
+                return;
+            }
+            const record = parseRecord(line);
+            if (!record) {
+                corruptLines.push(lineIndex + 1);
+                return;
+            }
+            if (corruptLines.length > 0) {
+                // only a partially written tail is recoverable
+                throw new FSMError(`corrupt journal record in ${this.path} at line ${corruptLines[0]}`);
+            }
+            records.push(record);
+        });
+        this.skippedRecords = corruptLines.length;
+        if (records.length === 0) {
+            return [];
+        }
+        const [header, ...entries] = records;
+        this.codec.checkVersion(header);
+        return entries.map(entry => this.codec.decodeEntry(entry));
+    }
+};
+
+// records every transition of fsm in journal, returns the journal. Use stopLogging(fsm, journal) to stop.
+const journalTransitions = (fsm, journal) =>
+    subscribeLog(fsm, journal, transitionData => journal.append({time: new Date(), ...transitionData}));
+
+/* continues a run from the last state and output recorded in journal. When the journal is empty, the
+ * FSM is run from its current state with args. If the last recorded state is a final state, the result
+ * of the recorded run is returned without advancing the FSM. If the last entry was recorded by a child
+ * FSM, the run continues inside the child (see replayFSM).
+ */
+const resumeFSM = async (fsm, journal, finalStates, ...args) => {
+    const entries = await journal.read();
+    if (entries.length === 0) {
+        return runFSM(fsm, finalStates, ...args);
+    }
+    const {to, output = [], path} = entries[entries.length - 1];
+    if (path) {
+        return replayFSM(fsm, path.concat([to]), finalStates, entries);
+    }
+    finalStates = normalizeFinalStates(finalStates);
+    if (finalStates.includes(to)) {
+        return [to, ...output];
+    }
+    fsm.currentState = to;
+    return runFSM(fsm, finalStates, ...output);
+};
+
+module.exports = {MemoryJournal, FileJournal, journalTransitions, resumeFSM};
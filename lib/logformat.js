@@ -0,0 +1,271 @@
+/* Serializable transition log format.
+ *
+ * A transition log (as produced by logTransitions) holds Symbol states, Error instances, Dates and
+ * transition objects with functions, none of which survive JSON.stringify(). The codec below encodes
+ * log entries into plain JSON values and decodes them back into a form replayFSM() can use.
+ *
+ * Format (version 1):
+ *   JSON:   {"version": 1, "entries": [<entry>, ...]}
+ *   NDJSON: a header line {"version": 1} followed by one <entry> per line.
+ *   <entry>: {"time": <ISO date string>, "from": <value>, "to": <value>,
+ *             "transition": {"index", "nextState", "errorState", "transitionFn"},
+ *             "input": [<value>, ...], "output": [<value>, ...],
+ *             "attempts": [{"attempt", "startTime", "duration", "error": <value>, "retryDelay"}, ...],
+ *             "path": [<value>, ...], "cause": <value>,
+ *             "timing": {"startTime", "endTime", "duration", "handlerDuration"}}
+ *            path is only present in entries of child FSMs (see FSM.addTransition()), it lists the parent
+ *            states the child was run from. cause is only present in entries of transitions which were
+ *            not triggered by advance(), eg. {"type": "after", "delay"} for timed transitions.
+ *   <value>: any JSON value, where objects carrying a "$type" key are tagged values:
+ *            {"$type": "Symbol", "label"}, {"$type": "Error", "name", "message", "stack"},
+ *            {"$type": "Date", "value"}, {"$type": "undefined"}, {"$type": "Object", "value"}
+ *            (an escaped plain object which has its own "$type" key) or
+ *            {"$type": <custom type name>, "value"} for user-registered types.
+ *
+ * Snapshots (see FSM.snapshot()) are encoded as {"version", "state": <value>, "output": [<value>, ...],
+ * "transitionCount", "history": [<entry>, ...], "timers": [{"index", "delay", "remaining"}, ...]}.
+ */
+
+const {EMPTY, ERROR, FSMError, getLabel, childTransition} = require('./fsm.js');
+
+const LOG_FORMAT_VERSION = 1;
+const TYPE_KEY = "$type";
+
+const BUILTIN_ERRORS = [Error, EvalError, RangeError, ReferenceError, SyntaxError, TypeError, URIError, FSMError]
+    .reduce((acc, errorClass) => {
+        acc[errorClass.name] = errorClass;
+        return acc;
+    }, {});
+
+const isPlainObject = value => value !== null && typeof value === 'object' &&
+    [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+const mapValues = (obj, fn) => Object.keys(obj).reduce((acc, key) => {
+    acc[key] = fn(obj[key]);
+    return acc;
+}, {});
+
+/* makeLogCodec options:
+ * states - object of states as returned by makeStates(). Symbol states must be listed here (EMPTY and
+ *          ERROR are always known) so they can be decoded to the identical Symbol.
+ * types - list of custom types, each {name, test, encode, decode}: test(value) returns true for values of
+ *         the type, encode(value) returns a JSON-serializable value, decode(encoded) rebuilds the value.
+ * fsm - optional FSM instance. When given, transitions are encoded with their priority index in
+ *       fsm.validTransitions and decoded back to the identical transition object.
+ */
+const makeLogCodec = ({states = {}, types = [], fsm} = {}) => {
+    const symbols = [EMPTY, ERROR, ...Object.values(states)]
+        .filter(state => typeof state === 'symbol')
+        .reduce((acc, symbol) => {
+            acc[getLabel(symbol)] = symbol;
+            return acc;
+        }, {});
+    const customTypes = {};
+
+    const registerType = ({name, test, encode, decode}) => {
+        if (!name || !test || !encode || !decode) {
+            throw new FSMError("custom types require name, test, encode and decode");
+        }
+        if (BUILTIN_ERRORS.hasOwnProperty(name) || ["Symbol", "Date", "undefined", "Object"].includes(name)) {
+            throw new FSMError(`cannot register custom type with reserved name ${name}`);
+        }
+        customTypes[name] = {name, test, encode, decode};
+    };
+    types.forEach(registerType);
+
+    const encodeValue = value => {
+        const customType = Object.values(customTypes).find(type => type.test(value));
+        if (customType) {
+            return {[TYPE_KEY]: customType.name, value: customType.encode(value)};
+        }
+        if (value === undefined) {
+            return {[TYPE_KEY]: "undefined"};
+        }
+        if (typeof value === 'symbol') {
+            const label = getLabel(value);
+            if (symbols[label] !== value) {
+                throw new FSMError(`cannot encode unregistered symbol ${label}`);
+            }
+            return {[TYPE_KEY]: "Symbol", label};
+        }
+        if (value instanceof Error) {
+            return {[TYPE_KEY]: "Error", name: value.name, message: value.message, stack: value.stack};
+        }
+        if (value instanceof Date) {
+            return {[TYPE_KEY]: "Date", value: value.toISOString()};
+        }
+        if (Array.isArray(value)) {
+            return value.map(encodeValue);
+        }
+        if (value !== null && typeof value === 'object') {
+            const encoded = mapValues(value, encodeValue);
+            return encoded.hasOwnProperty(TYPE_KEY) ? {[TYPE_KEY]: "Object", value: encoded} : encoded;
+        }
+        return value;
+    };
+
+    const decodeValue = encoded => {
+        if (Array.isArray(encoded)) {
+            return encoded.map(decodeValue);
+        }
+        if (!isPlainObject(encoded)) {
+            return encoded;
+        }
+        if (!encoded.hasOwnProperty(TYPE_KEY)) {
+            return mapValues(encoded, decodeValue);
+        }
+        const type = encoded[TYPE_KEY];
+        switch (type) {
+            case "undefined":
+                return undefined;
+            case "Symbol":
+                if (!symbols.hasOwnProperty(encoded.label)) {
+                    throw new FSMError(`cannot decode unregistered symbol ${encoded.label}`);
+                }
+                return symbols[encoded.label];
+            case "Error": {
+                const error = new (BUILTIN_ERRORS[encoded.name] || Error)(encoded.message);
+                error.name = encoded.name;
+                error.stack = encoded.stack;
+                return error;
+            }
+            case "Date":
+                return new Date(encoded.value);
+            case "Object":
+                return mapValues(encoded.value, decodeValue);
+        }
+        if (!customTypes.hasOwnProperty(type)) {
+            throw new FSMError(`cannot decode unknown type ${type}`);
+        }
+        return customTypes[type].decode(encoded.value);
+    };
+
+    // the (child) FSM whose transitions are logged with path
+    const machineAt = (path = []) => path.reduce((machine, state) => {
+        const transition = machine && childTransition(machine, state);
+        return transition && transition.child.fsm;
+    }, fsm);
+
+    const encodeTransition = (from, transition = {}, path) => {
+        const machine = machineAt(path);
+        const index = machine ? (machine.validTransitions[from] || []).indexOf(transition) : -1;
+        return {
+            index: index < 0 ? null : index,
+            nextState: encodeValue(transition.nextState),
+            errorState: encodeValue(transition.errorState),
+            transitionFn: transition.transitionFn ? (transition.transitionFn.name || null) : null
+        };
+    };
+
+    const decodeTransition = (from, {index, nextState, errorState}, path) => {
+        const machine = machineAt(path);
+        const transitions = machine ? (machine.validTransitions[from] || []) : [];
+        if (index !== null && index < transitions.length) {
+            return transitions[index];
+        }
+        return {nextState: decodeValue(nextState), errorState: decodeValue(errorState)};
+    };
+
+    const encodeEntry = ({time, from, to, transition, input = [], output = [], attempts = [], path, cause, timing}) => {
+        const encoded = {
+            time: time instanceof Date ? time.toISOString() : null,
+            from: encodeValue(from),
+            to: encodeValue(to),
+            transition: encodeTransition(from, transition, path),
+            input: input.map(encodeValue),
+            output: output.map(encodeValue),
+            attempts: attempts.map(encodeValue)
+        };
+        if (path) {
+            encoded.path = path.map(encodeValue);
+        }
+        if (cause) {
+            encoded.cause = encodeValue(cause);
+        }
+        if (timing) {
+            encoded.timing = encodeValue(timing);
+        }
+        return encoded;
+    };
+
+    const decodeEntry = encoded => {
+        const from = decodeValue(encoded.from);
+        const path = encoded.path && encoded.path.map(decodeValue);
+        const entry = {
+            time: encoded.time === null ? undefined : new Date(encoded.time),
+            from,
+            to: decodeValue(encoded.to),
+            transition: decodeTransition(from, encoded.transition || {index: null}, path),
+            input: (encoded.input || []).map(decodeValue),
+            output: (encoded.output || []).map(decodeValue),
+            attempts: (encoded.attempts || []).map(decodeValue)
+        };
+        if (path) {
+            entry.path = path;
+        }
+        if (encoded.cause) {
+            entry.cause = decodeValue(encoded.cause);
+        }
+        if (encoded.timing) {
+            entry.timing = decodeValue(encoded.timing);
+        }
+        return entry;
+    };
+
+    const checkVersion = ({version}) => {
+        if (version !== LOG_FORMAT_VERSION) {
+            throw new FSMError(`unsupported transition log format version ${version}`);
+        }
+    };
+
+    const stringify = transitionLog => JSON.stringify({version: LOG_FORMAT_VERSION, entries: transitionLog.map(encodeEntry)});
+
+    const parse = json => {
+        const parsed = JSON.parse(json);
+        checkVersion(parsed);
+        return parsed.entries.map(decodeEntry);
+    };
+
+    const encodeSnapshot = ({history = [], state, output = [], ...snapshot}) => ({
+        ...snapshot,
+        state: encodeValue(state),
+        output: output.map(encodeValue),
+        history: history.map(encodeEntry)
+    });
+
+    const decodeSnapshot = ({history = [], state, output = [], ...snapshot}) => ({
+        ...snapshot,
+        state: decodeValue(state),
+        output: output.map(decodeValue),
+        history: history.map(decodeEntry)
+    });
+
+    const stringifySnapshot = snapshot => JSON.stringify(encodeSnapshot(snapshot));
+
+    const parseSnapshot = json => decodeSnapshot(JSON.parse(json));
+
+    const stringifyLine = entry => JSON.stringify(encodeEntry(entry));
+
+    const parseLine = line => decodeEntry(JSON.parse(line));
+
+    const stringifyNDJSON = transitionLog => [JSON.stringify({version: LOG_FORMAT_VERSION}), ...transitionLog.map(stringifyLine)]
+        .map(line => line + "\n")
+        .join("");
+
+    const parseNDJSON = ndjson => {
+        const [header, ...lines] = ndjson.split("\n").filter(line => line.trim());
+        if (header === undefined) {
+            return [];
+        }
+        checkVersion(JSON.parse(header));
+        return lines.map(parseLine);
+    };
+
+    return {
+        registerType, encodeValue, decodeValue, encodeEntry, decodeEntry,
+        stringify, parse, stringifyLine, parseLine, stringifyNDJSON, parseNDJSON, checkVersion,
+        encodeSnapshot, decodeSnapshot, stringifySnapshot, parseSnapshot
+    };
+};
+
+module.exports = {LOG_FORMAT_VERSION, makeLogCodec};
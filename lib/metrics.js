@@ -0,0 +1,210 @@
+/* Timing metrics and tracing.
+ *
+ * instrumentFSM() turns the timing data of an FSM's events (see FSM.on()) into
+ *   - metrics: counters and durations per from->to edge, per error state and per run outcome, which a
+ *     MetricsRegistry collects and formatPrometheus() renders in the Prometheus text format, and
+ *   - traces: a span per run with a child span per transition. A tracer is any object with a method
+ *     startSpan(name, {parent, startTime, attributes}) returning a span shaped like OpenTelemetry's:
+ *     setAttribute(key, value), addEvent(name, attributes, time), recordException(error, time),
+ *     setStatus({code, message}) and end(endTime). Tracer records spans to an exporter, eg. the
+ *     InMemorySpanExporter, and can be replaced by an adapter to a real OpenTelemetry tracer.
+ * Times are milliseconds according to the FSM's clock.
+ */
+
+const crypto = require('crypto');
+const {EVENTS, getLabel} = require('./fsm.js');
+const {failedEntry} = require('./saga.js');
+
+// OpenTelemetry's SpanStatusCode values
+const SPAN_STATUS = {unset: 0, ok: 1, error: 2};
+
+const randomId = bytes => crypto.randomBytes(bytes).toString('hex');
+
+class Span {
+    constructor (exporter, name, {parent, startTime, attributes = {}}) {
+        this.exporter = exporter;
+        this.name = name;
+        this.traceId = parent ? parent.traceId : randomId(16);
+        this.spanId = randomId(8);
+        this.parentSpanId = parent ? parent.spanId : undefined;
+        this.startTime = startTime;
+        this.endTime = undefined;
+        this.attributes = {...attributes};
+        this.events = [];
+        this.status = {code: SPAN_STATUS.unset};
+    }
+
+    setAttribute(key, value) {
+        this.attributes[key] = value;
+        return this;
+    }
+
+    addEvent(name, attributes = {}, time) {
+        this.events.push({name, attributes, time});
+        return this;
+    }
+
+    recordException(error, time) {
+        return this.addEvent("exception", {"exception.type": error && error.name, "exception.message": error && error.message}, time);
+    }
+
+    setStatus(status) {
+        this.status = status;
+        return this;
+    }
+
+    end(endTime) {
+        if (this.endTime === undefined) {
+            this.endTime = endTime;
+            this.exporter.export([this]);
+        }
+    }
+};
+
+// tracer which records the spans it creates to exporter once they end, see the module comment
+class Tracer {
+    constructor (exporter) {
+        this.exporter = exporter;
+    }
+
+    startSpan(name, options = {}) {
+        return new Span(this.exporter, name, options);
+    }
+};
+
+class InMemorySpanExporter {
+    constructor () {
+        this.spans = [];
+    }
+
+    export(spans) {
+        this.spans.push(...spans);
+    }
+
+    getFinishedSpans() {
+        return this.spans.slice();
+    }
+
+    reset() {
+        this.spans = [];
+    }
+};
+
+/* collects counters and durations by metric name and labels. Each series is
+ * {name, labels, count, sum}, where sum adds up the observed durations (if any).
+ */
+class MetricsRegistry {
+    constructor () {
+        this.series = new Map();
+    }
+
+    observe(name, labels, duration) {
+        const key = JSON.stringify([name, labels]);
+        if (!this.series.has(key)) {
+            this.series.set(key, {name, labels, count: 0, sum: 0});
+        }
+        const series = this.series.get(key);
+        series.count++;
+        series.sum += duration || 0;
+    }
+
+    // the series of name, optionally only those whose labels include the given ones
+    get(name, labels = {}) {
+        return Array.from(this.series.values()).filter(series => series.name === name &&
+            Object.keys(labels).every(key => series.labels[key] === labels[key]));
+    }
+};
+
+const METRICS = {
+    transitions: {name: "fsm_transitions_total", type: "counter", help: "Transitions by edge."},
+    transitionDuration: {name: "fsm_transition_duration_ms", type: "summary", help: "Duration of transitions by edge."},
+    errors: {name: "fsm_transition_errors_total", type: "counter", help: "Failed transitions by error state."},
+    runs: {name: "fsm_runs_total", type: "counter", help: "Runs by the state they ended in."},
+    runDuration: {name: "fsm_run_duration_ms", type: "summary", help: "Duration of runs by the state they ended in."}
+};
+
+const escapeLabel = value => String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+
+const formatLabels = labels => {
+    const pairs = Object.keys(labels).map(key => `${key}="${escapeLabel(labels[key])}"`);
+    return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+};
+
+// renders the metrics of registry in the Prometheus text exposition format
+const formatPrometheus = registry => Object.keys(METRICS).map(key => METRICS[key]).map(({name, type, help}) => {
+    const series = registry.get(name);
+    if (series.length === 0) {
+        return "";
+    }
+    const samples = type === "counter" ?
+        series.map(({labels, count}) => `${name}${formatLabels(labels)} ${count}`) :
+        series.reduce((acc, {labels, count, sum}) => acc.concat([
+            `${name}_sum${formatLabels(labels)} ${sum}`,
+            `${name}_count${formatLabels(labels)} ${count}`
+        ]), []);
+    return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...samples].join("\n") + "\n";
+}).join("");
+
+/* records the runs and transitions of fsm in metrics (a MetricsRegistry) and/or as spans of tracer.
+ * options:
+ * name - label of the FSM in metrics and span names (default: "fsm").
+ * Returns a function which stops the instrumentation.
+ */
+const instrumentFSM = (fsm, {metrics, tracer, name = "fsm"} = {}) => {
+    let runSpan;
+    const onRunStart = ({state, startTime}) => {
+        if (tracer) {
+            runSpan = tracer.startSpan(`${name} run`, {startTime, attributes: {"fsm.name": name, "fsm.initial_state": getLabel(state)}});
+        }
+    };
+    const onTransition = entry => {
+        const {from, to, attempts = [], timing = {}} = entry;
+        const labels = {fsm: name, from: getLabel(from), to: getLabel(to)};
+        const failed = failedEntry(entry);
+        if (metrics) {
+            metrics.observe(METRICS.transitions.name, labels);
+            metrics.observe(METRICS.transitionDuration.name, labels, timing.duration);
+            if (failed) {
+                metrics.observe(METRICS.errors.name, {fsm: name, from: labels.from, state: labels.to});
+            }
+        }
+        if (tracer) {
+            const index = (fsm.validTransitions[from] || []).indexOf(entry.transition);
+            const span = tracer.startSpan(`${name} transition`, {parent: runSpan, startTime: timing.startTime, attributes: {
+                "fsm.name": name, "fsm.from": labels.from, "fsm.to": labels.to, "fsm.transition.index": index,
+                "fsm.attempts": attempts.length, "fsm.handler_duration": timing.handlerDuration
+            }});
+            attempts.forEach(({attempt, startTime, duration, error}) =>
+                span.addEvent("attempt", {"fsm.attempt": attempt, "fsm.attempt.duration": duration, "fsm.attempt.failed": error !== undefined}, startTime));
+            if (failed) {
+                span.recordException(entry.output[0], timing.endTime);
+                span.setStatus({code: SPAN_STATUS.error, message: entry.output[0] && entry.output[0].message});
+            }
+            span.end(timing.endTime);
+        }
+    };
+    const onRunEnd = ({state, error, steps, endTime, duration}) => {
+        const labels = {fsm: name, state: error ? "exception" : getLabel(state)};
+        if (metrics) {
+            metrics.observe(METRICS.runs.name, labels);
+            metrics.observe(METRICS.runDuration.name, labels, duration);
+        }
+        if (runSpan) {
+            runSpan.setAttribute("fsm.final_state", getLabel(state)).setAttribute("fsm.steps", steps);
+            if (error) {
+                runSpan.recordException(error, endTime);
+                runSpan.setStatus({code: SPAN_STATUS.error, message: error.message});
+            }
+            runSpan.end(endTime);
+            runSpan = undefined;
+        }
+    };
+    const unsubscribers = [
+        fsm.on(EVENTS.runstart, onRunStart),
+        fsm.on(EVENTS.posttransition, onTransition),
+        fsm.on(EVENTS.runend, onRunEnd)
+    ];
+    return () => unsubscribers.forEach(fn => fn());
+};
+
+module.exports = {SPAN_STATUS, Span, Tracer, InMemorySpanExporter, MetricsRegistry, METRICS, formatPrometheus, instrumentFSM};
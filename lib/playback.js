@@ -0,0 +1,120 @@
+/* Record-and-replay: plays a recorded transition log back through an FSM.
+ *
+ * While a recording is played back, each transition takes its nextState and output from the next log
+ * entry instead of calling transitionFn, so side effects (eg. HTTP requests) are not repeated. In verify
+ * mode the live transitionFns run as well, and every difference between the recorded and the live
+ * outcome is reported as a divergence.
+ */
+
+const {EVENTS, FSMError, getLabel} = require('./fsm.js');
+
+const isObject = value => value !== null && typeof value === 'object';
+
+/* returns the list of differences between expected and actual as {path, expected, actual} objects,
+ * where path is the list of keys leading to the difference. Errors are compared by name and message,
+ * Dates by time, arrays and objects structurally.
+ */
+const diffValues = (expected, actual, path = []) => {
+    if (Object.is(expected, actual)) {
+        return [];
+    }
+    const difference = [{path, expected, actual}];
+    if (!isObject(expected) || !isObject(actual) || Object.getPrototypeOf(expected) !== Object.getPrototypeOf(actual)) {
+        return difference;
+    }
+    if (expected instanceof Error) {
+        return expected.name === actual.name && expected.message === actual.message ? [] : difference;
+    }
+    if (expected instanceof Date) {
+        return expected.getTime() === actual.getTime() ? [] : difference;
+    }
+    if (Array.isArray(expected) && expected.length !== actual.length) {
+        return difference;
+    }
+    const keys = Array.isArray(expected) ?
+        expected.map((_item, index) => index) :
+        Object.keys(expected).concat(Object.keys(actual).filter(key => !expected.hasOwnProperty(key)));
+    return keys.reduce((acc, key) => acc.concat(diffValues(expected[key], actual[key], path.concat([key]))), []);
+};
+
+class Playback {
+    constructor (transitionLog, {verify = false, live = false} = {}) {
+        // the transitions of child FSMs are part of the recorded outcome of their parent's transition
+        this.entries = transitionLog.filter(entry => !entry.path);
+        this.position = 0;
+        this.verify = verify;
+        this.live = live;
+        this.divergences = [];
+    }
+
+    get remaining() {
+        return this.entries.length - this.position;
+    }
+
+    // compares the live outcome of the transition to the recorded one
+    async verifyEntry(fsm, entry, transitionInput) {
+        let actual;
+        try {
+            const {to, output} = await fsm.selectTransition(transitionInput);
+            actual = {to, output};
+        } catch (error) {
+            actual = {error};
+        }
+        const differences = diffValues({to: entry.to, output: entry.output}, actual);
+        if (differences.length > 0) {
+            const divergence = {index: this.position - 1, from: entry.from, input: transitionInput,
+                expected: {to: entry.to, output: entry.output}, actual, differences};
+            this.divergences.push(divergence);
+            await fsm.emit(EVENTS.divergence, divergence);
+        }
+    }
+
+    // called by FSM.step() instead of selectTransition()
+    async play(fsm, transitionInput) {
+        if (this.remaining === 0) {
+            if (this.live) {
+                fsm.playback = undefined;
+                return fsm.selectTransition(transitionInput);
+            }
+            throw new FSMError(`recording exhausted in state ${getLabel(fsm.currentState)}`);
+        }
+        const entry = this.entries[this.position++];
+        if (entry.from !== fsm.currentState) {
+            throw new FSMError(`recording expected state ${getLabel(entry.from)}, FSM is in state ${getLabel(fsm.currentState)}`);
+        }
+        if (this.verify) {
+            await this.verifyEntry(fsm, entry, transitionInput);
+        }
+        return {to: entry.to, transition: entry.transition, output: entry.output, attempts: []};
+    }
+};
+
+/* puts fsm into playback mode for transitionLog and moves it to the state the recording starts in.
+ * options:
+ * verify - when true, live transitionFns are also run, and divergences from the recording are reported in
+ *          the returned Playback's divergences list and as divergence events:
+ *          {index, from, input, expected: {to, output}, actual: {to, output} or {error}, differences}
+ * live - when true, the FSM continues with its live transitions once the recording is exhausted.
+ *        By default, advancing past the end of the recording throws an FSMError.
+ * Returns the Playback; pass its input to runFSM to start from the first recorded transition:
+ *   const playback = playRecording(fsm, transitionLog);
+ *   await runFSM(fsm, finalStates, ...playback.input);
+ */
+const playRecording = (fsm, transitionLog, options) => {
+    const playback = new Playback(transitionLog, options);
+    if (playback.remaining > 0) {
+        fsm.currentState = playback.entries[0].from;
+        playback.input = playback.entries[0].input;
+    } else {
+        playback.input = [];
+    }
+    fsm.playback = playback;
+    return playback;
+};
+
+// ends playback mode, the FSM continues with its live transitions
+const stopPlayback = fsm => {
+    fsm.playback = undefined;
+};
+
+module.exports = {Playback, diffValues, playRecording, stopPlayback};
@@ -0,0 +1,191 @@
+/* Paginated API reader, the FSM examples/shopifyreader.js is built on.
+ *
+ * A reader requests a page, extracts its items and the request for the next page (if any), and repeats:
+ *   REQUEST -> RESPONSE -> REQUEST -> ... -> FINISHED
+ * with RATE_LIMITED for HTTP 429 responses (waiting for Retry-After before requesting the page again),
+ * HTTP_ERROR for other non-2xx responses and ERROR for failed requests, eg. connection errors.
+ * Requests are {url, headers}, made by a transport: an async function (request, {signal}) which resolves
+ * to a response {status, headers, body} with lowercase header names. httpTransport() uses node's http
+ * and https modules. Each arrival in REQUEST records the request and the accumulated value in the
+ * transition log, so a failed read can be continued from its log with resumeReader().
+ */
+
+const http = require('http');
+const https = require('https');
+const {FSM, FSMError, ERROR, makeStates, runFSM} = require('./fsm.js');
+const {realClock, sleep} = require('./clock.js');
+
+const READER_STATES = makeStates("REQUEST", "RESPONSE", "RATE_LIMITED", "HTTP_ERROR", "FINISHED");
+
+const READER_FINAL_STATES = [READER_STATES.FINISHED, READER_STATES.HTTP_ERROR, ERROR];
+
+// the output of HTTP_ERROR, for responses with a non-2xx status (other than 429)
+class HTTPStatusError extends FSMError {
+    constructor (response, request) {
+        super(`HTTP ${response.status} for ${request.url}`);
+        this.name = 'HTTPStatusError';
+        this.status = response.status;
+        this.response = response;
+        this.request = request;
+    }
+};
+
+// transport making GET requests with node's http or https module, headers are sent with each request
+const httpTransport = ({headers = {}} = {}) => (request, {signal} = {}) => new Promise((resolve, reject) => {
+    const url = new URL(request.url);
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.request(url, {headers: {...headers, ...request.headers}, signal}, res => {
+        let body = "";
+        res.setEncoding('utf8');
+        res.on('data', data => {
+            body += data;
+        });
+        res.on('end', () => resolve({status: res.statusCode, headers: res.headers, body}));
+        res.on('error', reject);
+    });
+    req.on('error', reject);
+    req.end();
+});
+
+/* Cursors return the request for the page after the current one, or undefined after the last page.
+ * They are called with {request, response, data, items}, where data is the parsed response body.
+ */
+
+// RFC 5988 Link header: <url>; rel="next", ...
+const parseLinks = header => (header || "").split(/,\s*(?=<)/).reduce((acc, link) => {
+    const match = link.match(/^\s*<([^>]*)>((?:\s*;\s*[^;]+)*)$/);
+    if (match) {
+        const rel = (match[2].match(/;\s*rel="?([^";]+)"?/) || [])[1];
+        (rel || "").split(/\s+/).filter(Boolean).forEach(name => {
+            acc[name] = match[1];
+        });
+    }
+    return acc;
+}, {});
+
+// follows the Link header's rel (default: "next") link, relative links are resolved against the request url
+const linkHeaderCursor = ({rel = "next"} = {}) => ({request, response}) => {
+    const link = parseLinks(response.headers.link)[rel];
+    return link ? {...request, url: new URL(link, request.url).toString()} : undefined;
+};
+
+const withParam = (url, name, value) => {
+    const next = new URL(url);
+    next.searchParams.set(name, value);
+    return next.toString();
+};
+
+/* reads the next page's cursor from field of the parsed body (a dot separated path, or a function of the
+ * body), and sends it as the query parameter param (default: "cursor"). An empty cursor ends the read.
+ */
+const bodyCursor = (field, {param = "cursor"} = {}) => ({request, data}) => {
+    const cursor = typeof field === 'function' ? field(data) :
+        field.split(".").reduce((value, key) => value === undefined || value === null ? undefined : value[key], data);
+    return cursor === undefined || cursor === null || cursor === "" ? undefined :
+        {...request, url: withParam(request.url, param, cursor)};
+};
+
+/* pages through offset/limit query parameters, limit items at a time. A page with fewer items ends the read.
+ * The offset of the first page is taken from the url (default: 0).
+ */
+const offsetCursor = ({limit, offsetParam = "offset", limitParam = "limit"}) => {
+    if (!(limit >= 1)) {
+        throw new FSMError("offsetCursor limit must be at least 1");
+    }
+    return ({request, items}) => {
+        if (items.length < limit) {
+            return undefined;
+        }
+        const offset = Number(new URL(request.url).searchParams.get(offsetParam)) || 0;
+        return {...request, url: withParam(withParam(request.url, limitParam, limit), offsetParam, offset + limit)};
+    };
+};
+
+// milliseconds to wait according to a Retry-After header (delay-seconds or HTTP-date), or undefined
+const retryAfterDelay = (header, now) => {
+    if (header === undefined || header === null || header === "") {
+        return undefined;
+    }
+    if (/^\s*\d+\s*$/.test(header)) {
+        return Number(header) * 1000;
+    }
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? undefined : Math.max(0, date - now);
+};
+
+const isSuccess = status => status >= 200 && status < 300;
+
+/* returns a reader FSM, run it with runFSM(fsm, READER_FINAL_STATES, request). options:
+ * transport - makes the requests, see the module comment (default: httpTransport()).
+ * cursor - returns the request for the next page, eg. linkHeaderCursor() (the default), bodyCursor() or offsetCursor().
+ * parse - parses a response body (default: JSON.parse).
+ * items - returns the items of a page from its parsed body (default: the body itself).
+ * accumulate - (acc, items, {request, response}) => acc, the FINISHED output. By default, items are concatenated
+ *              into a list, or counted when there is a sink.
+ * sink - optional async function (items, {request, response}) called with the items of each page.
+ * rateLimitDelay - milliseconds to wait after a 429 response without Retry-After (default: 1000).
+ * maxRateLimited - number of consecutive 429 responses after which the read fails (default: Infinity).
+ * retry, timeout - retry and timeout policy of the requests, see FSM.addTransition().
+ * clock - clock of the FSM, which times the rate limit delays (default: realClock).
+ */
+const makeReaderFSM = ({transport = httpTransport(), cursor = linkHeaderCursor(), parse = body => JSON.parse(body),
+    items = data => data, sink, accumulate, rateLimitDelay = 1000, maxRateLimited = Infinity, retry, timeout,
+    clock = realClock} = {}) => {
+    const accumulateItems = accumulate || (sink ?
+        (count = 0, pageItems) => count + pageItems.length :
+        (acc = [], pageItems) => acc.concat(pageItems));
+    const fsm = new FSM(READER_STATES.REQUEST, {clock});
+    fsm.addTransition(READER_STATES.REQUEST, {nextState: READER_STATES.RESPONSE, retry, timeout,
+        transitionFn: async function(request, acc, rateLimited = 0) {
+            const response = await transport(request, {signal: this.signal});
+            return [request, response, acc, rateLimited];
+        }});
+    fsm.addTransition(READER_STATES.RESPONSE, {
+        targets: [READER_STATES.REQUEST, READER_STATES.RATE_LIMITED, READER_STATES.HTTP_ERROR, READER_STATES.FINISHED],
+        transitionFn: async (request, response, acc, rateLimited) => {
+            if (response.status === 429) {
+                if (rateLimited + 1 > maxRateLimited) {
+                    return [READER_STATES.HTTP_ERROR, new HTTPStatusError(response, request), request, acc];
+                }
+                const delay = retryAfterDelay(response.headers['retry-after'], clock.now());
+                return [READER_STATES.RATE_LIMITED, request, acc, rateLimited + 1, delay === undefined ? rateLimitDelay : delay];
+            }
+            if (!isSuccess(response.status)) {
+                return [READER_STATES.HTTP_ERROR, new HTTPStatusError(response, request), request, acc];
+            }
+            const data = parse(response.body);
+            const pageItems = items(data);
+            if (!Array.isArray(pageItems)) {
+                throw new FSMError(`response for ${request.url} has no list of items`);
+            }
+            const next = cursor({request, response, data, items: pageItems});
+            if (sink) {
+                await sink(pageItems, {request, response});
+            }
+            const result = accumulateItems(acc, pageItems, {request, response});
+            return next ? [READER_STATES.REQUEST, next, result] : [READER_STATES.FINISHED, result];
+        }});
+    fsm.addTransition(READER_STATES.RATE_LIMITED, {nextState: READER_STATES.REQUEST,
+        transitionFn: async function(request, acc, rateLimited, delay) {
+            await sleep(clock, delay, this.signal);
+            return [request, acc, rateLimited];
+        }});
+    return fsm;
+};
+
+/* continues a read from its transition log by repeating the last request the log recorded, with the items
+ * accumulated before it. Use the args option of replayFrom() (see branch.js) to change the request instead.
+ */
+const resumeReader = (fsm, transitionLog, finalStates = READER_FINAL_STATES) => {
+    const entries = transitionLog.filter(entry => !entry.path && entry.from === READER_STATES.REQUEST);
+    if (entries.length === 0) {
+        throw new FSMError("transition log has no request to resume the read from");
+    }
+    fsm.currentState = READER_STATES.REQUEST;
+    return runFSM(fsm, finalStates, ...entries[entries.length - 1].input);
+};
+
+module.exports = {
+    READER_STATES, READER_FINAL_STATES, HTTPStatusError, httpTransport, parseLinks, linkHeaderCursor, bodyCursor,
+    offsetCursor, retryAfterDelay, makeReaderFSM, resumeReader
+};
@@ -0,0 +1,70 @@
+/* Saga-style compensation.
+ *
+ * Transitions may register a compensate function (see FSM.addTransition()), which undoes the effects of
+ * the transition, eg. deletes a record it created. When a run fails, compensate() calls the compensations
+ * of the transitions which completed, most recent first, with their recorded input and output.
+ */
+
+const {EVENTS, FSMError, runFSM, logTransitions, stopLogging} = require('./fsm.js');
+
+// aggregates the failures of compensate(): undone and failed list the entries which were, and were not, undone
+class CompensationError extends FSMError {
+    constructor(undone, failed) {
+        super(`${failed.length} of ${undone.length + failed.length} compensations failed: ` +
+            failed.map(({error}) => error && error.message).join("; "));
+        this.name = "CompensationError";
+        this.undone = undone;
+        this.failed = failed;
+    }
+};
+
+// true if the transition of entry ended in its errorState because its transitionFn failed
+const failedEntry = ({attempts = []}) => attempts.length > 0 && attempts[attempts.length - 1].error !== undefined;
+
+/* calls the compensations of the completed transitions in transitionLog (including those of child FSMs) in reverse
+ * order, as compensate(input, output, entry). All compensations are called, even if some of them fail. Each call
+ * emits a compensation event {time, entry, error} on fsm and is added to compensationLog.
+ * Resolves to the list of undone entries, or rejects with a CompensationError.
+ */
+const compensate = async (fsm, transitionLog, compensationLog = []) => {
+    const undone = [], failed = [];
+    const entries = transitionLog.filter(entry => entry.transition && entry.transition.compensate && !failedEntry(entry));
+    for (const entry of entries.reverse()) {
+        let error;
+        try {
+            await entry.transition.compensate(entry.input, entry.output, entry);
+            undone.push(entry);
+        } catch (e) {
+            error = e;
+            failed.push({entry, error});
+        }
+        const step = {time: new Date(), entry, error};
+        compensationLog.push(step);
+        await fsm.emit(EVENTS.compensation, step);
+    }
+    if (failed.length > 0) {
+        throw new CompensationError(undone, failed);
+    }
+    return undone;
+};
+
+/* runs the FSM like runFSM, compensating the transitions of the run if it ends in an errorState (or ERROR)
+ * because a transitionFn failed. Resolves to the [state, ...output] the run ended with, after compensation.
+ * options:
+ * compensationLog - list the compensation steps are added to, see compensate().
+ */
+const runSaga = async (fsm, finalStates, {compensationLog} = {}, ...args) => {
+    const transitionLog = logTransitions(fsm);
+    try {
+        const result = await runFSM(fsm, finalStates, ...args);
+        const last = transitionLog.filter(entry => !entry.path).slice(-1)[0];
+        if (last && failedEntry(last)) {
+            await compensate(fsm, transitionLog, compensationLog);
+        }
+        return result;
+    } finally {
+        stopLogging(fsm, transitionLog);
+    }
+};
+
+module.exports = {CompensationError, compensate, runSaga, failedEntry};
@@ -0,0 +1,168 @@
+const test = require('ava');
+const {FSM, FSMError, FSMAbortError, ERROR, makeStates} = require('../lib/fsm.js');
+const {ManualClock} = require('../lib/clock.js');
+const {Batch, runBatch} = require('../lib/batch.js');
+
+const states = makeStates("PAGE", "FINISHED", "UNAVAILABLE");
+
+// reads pages of store until its lastPage, failing (once) at the pages in failures[store.name]
+const makeStoreFSM = (api, failures = {}) => store => {
+  const fsm = new FSM(states.PAGE);
+  fsm.addTransition(states.PAGE, {transitionFn: async (page, acc = []) => {
+    api.calls.push(`${store.name}:${page}`);
+    api.active++;
+    api.maxActive = Math.max(api.maxActive, api.active);
+    await new Promise(resolve => setImmediate(resolve));
+    api.active--;
+    if ((failures[store.name] || []).includes(page)) {
+      failures[store.name] = failures[store.name].filter(p => p !== page);
+      throw new Error(`${store.name} page ${page} failed`);
+    }
+    const data = acc.concat([`${store.name}${page}`]);
+    return page >= store.pages ? [states.FINISHED, data] : [states.PAGE, page + 1, data];
+  }});
+  return fsm;
+};
+
+const makeApi = () => ({calls: [], active: 0, maxActive: 0});
+
+const stores = [{name: "a", pages: 2}, {name: "b", pages: 1}, {name: "c", pages: 3}, {name: "d", pages: 1}];
+
+test('runs one FSM per input with a concurrency limit', async t => {
+  const api = makeApi();
+  const instances = await runBatch(makeStoreFSM(api), stores, {finalStates: states.FINISHED, concurrency: 2,
+    args: () => [1]});
+  t.deepEqual(instances.map(({status, result}) => [status, result]), [
+    ["done", [states.FINISHED, ["a1", "a2"]]],
+    ["done", [states.FINISHED, ["b1"]]],
+    ["done", [states.FINISHED, ["c1", "c2", "c3"]]],
+    ["done", [states.FINISHED, ["d1"]]]
+  ]);
+  t.is(api.maxActive, 2);
+  t.deepEqual(instances.map(({transitionLog}) => transitionLog.length), [2, 1, 3, 1]);
+});
+
+test('failures are collected per instance and resumed from their logs', async t => {
+  const api = makeApi();
+  const batch = new Batch(makeStoreFSM(api, {a: [1], c: [3]}), stores, {finalStates: states.FINISHED, args: () => [1]});
+  let instances = await batch.run();
+  t.deepEqual(instances.map(({status}) => status), ["failed", "done", "failed", "done"]);
+  t.is(instances[0].result[0], ERROR);
+  t.is(instances[2].error.message, "c page 3 failed");
+  api.calls = [];
+  instances = await batch.run();
+  t.deepEqual(instances.map(({status}) => status), ["done", "done", "done", "done"]);
+  t.deepEqual(instances[2].result, [states.FINISHED, ["c1", "c2", "c3"]]);
+  t.deepEqual(api.calls.sort(), ["a:1", "a:2", "c:3"], "only the failed transitions are repeated");
+  t.deepEqual(await batch.run(), instances, "finished batches are left alone");
+});
+
+test('instances which reached one of failedStates resume from the state before it', async t => {
+  const unavailable = new Set(["a:2"]);
+  const calls = [];
+  const factory = store => {
+    const fsm = new FSM(states.PAGE);
+    fsm.addTransition(states.PAGE, {transitionFn: (page, acc = []) => {
+      calls.push(`${store.name}:${page}`);
+      if (unavailable.delete(`${store.name}:${page}`)) {
+        return [states.UNAVAILABLE, new Error(`${store.name} page ${page} is unavailable`)];
+      }
+      const data = acc.concat([`${store.name}${page}`]);
+      return page >= store.pages ? [states.FINISHED, data] : [states.PAGE, page + 1, data];
+    }});
+    return fsm;
+  };
+  const batch = new Batch(factory, stores.slice(0, 2), {finalStates: [states.FINISHED, states.UNAVAILABLE, ERROR],
+    failedStates: [states.UNAVAILABLE, ERROR], args: () => [1]});
+  let instances = await batch.run();
+  t.deepEqual(instances.map(({status}) => status), ["failed", "done"]);
+  t.is(instances[0].error.message, "a page 2 is unavailable");
+  instances = await batch.run();
+  t.is(instances[0].status, "done");
+  t.deepEqual(instances[0].result, [states.FINISHED, ["a1", "a2"]]);
+  t.deepEqual(calls, ["a:1", "b:1", "a:2", "a:2"]);
+});
+
+test('aborting the batch stops resumed instances', async t => {
+  let attempts = 0;
+  const factory = () => {
+    const fsm = new FSM(states.PAGE);
+    fsm.addTransition(states.PAGE, {transitionFn: async page => {
+      if (page === 1) {
+        return [states.PAGE, 2];
+      }
+      if (++attempts === 1) {
+        throw new Error("page failed");
+      }
+      // hangs until the run is aborted
+      return new Promise(() => {});
+    }});
+    return fsm;
+  };
+  const controller = new AbortController();
+  const batch = new Batch(factory, ["a"], {finalStates: states.FINISHED, args: () => [1], signal: controller.signal});
+  await batch.run();
+  const running = batch.run();
+  await new Promise(resolve => setImmediate(resolve));
+  t.is(attempts, 2);
+  controller.abort("stop");
+  const [instance] = await running;
+  t.is(instance.status, "failed");
+  t.true(instance.error instanceof FSMAbortError);
+});
+
+test('runs which throw fail their instance', async t => {
+  const instances = await runBatch(() => new FSM(states.PAGE), [1], {finalStates: states.FINISHED});
+  t.is(instances[0].status, "failed");
+  t.true(instances[0].error instanceof FSMError);
+  t.is(instances[0].result, undefined);
+});
+
+test('progress is reported as events and as an event stream', async t => {
+  const batch = new Batch(makeStoreFSM(makeApi(), {b: [1]}), stores.slice(0, 2), {finalStates: states.FINISHED,
+    args: () => [1], concurrency: 1});
+  const progress = [];
+  batch.on("progress", summary => progress.push(summary));
+  const collected = (async () => {
+    const events = [];
+    for await (const event of batch.events()) {
+      events.push(event);
+    }
+    return events;
+  })();
+  await batch.run();
+  const events = await collected;
+  t.deepEqual(events.map(({type, index}) => [type, index]), [
+    ["start", 0], ["transition", 0], ["transition", 0], ["done", 0], ["progress", undefined],
+    ["start", 1], ["transition", 1], ["failed", 1], ["progress", undefined],
+    ["end", undefined]
+  ]);
+  t.is(events[1].entry.to, states.PAGE);
+  t.deepEqual(progress.map(({done, failed, pending}) => [done, failed, pending]), [[1, 0, 1], [1, 1, 0]]);
+  t.deepEqual(events[events.length - 1], {type: "end", total: 2, pending: 0, running: 0, done: 1, failed: 1});
+});
+
+test('rate limits delay the transitions of each instance', async t => {
+  const clock = new ManualClock();
+  const starts = [];
+  const factory = () => {
+    const fsm = new FSM(states.PAGE);
+    fsm.addTransition(states.PAGE, {transitionFn: page => {
+      starts.push([page, clock.now()]);
+      return page >= 3 ? [states.FINISHED] : [states.PAGE, page + 1];
+    }});
+    return fsm;
+  };
+  const running = runBatch(factory, [1], {finalStates: states.FINISHED, clock, rateLimit: {limit: 2, interval: 1000}});
+  await clock.advance(1000);
+  await running;
+  t.deepEqual(starts, [[1, 0], [2, 0], [3, 1000]]);
+});
+
+test('batches refuse concurrent runs', async t => {
+  const batch = new Batch(makeStoreFSM(makeApi()), stores, {finalStates: states.FINISHED, args: () => [1]});
+  const running = batch.run();
+  await t.throwsAsync(batch.run(), {instanceOf: FSMError, message: "batch is already running"});
+  await running;
+  t.throws(() => new Batch(() => {}, [], {concurrency: 0}), {instanceOf: FSMError});
+});
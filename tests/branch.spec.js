@@ -0,0 +1,101 @@
+const test = require('ava');
+const {FSM, FSMError, makeStates, runFSM, logTransitions} = require('../lib/fsm.js');
+const {findForkPoint, replayFrom, forkLog, branchEntries, forkRuns} = require('../lib/branch.js');
+
+const states = makeStates("PAGE", "DONE", "SYNC", "SYNCED");
+
+// reads pages until lastPage, page 2 of the store is bad unless fixed
+const makeReaderFSM = (lastPage, reads = []) => {
+  const fsm = new FSM(states.PAGE);
+  fsm.addTransition(states.PAGE, {transitionFn: (page, acc) => {
+    reads.push(page);
+    const data = acc.concat([page === 2 ? "bad" : `page${page}`]);
+    return page >= lastPage ? [states.DONE, data] : [states.PAGE, page + 1, data];
+  }});
+  return fsm;
+};
+
+const recordRun = async () => {
+  const fsm = makeReaderFSM(4);
+  const transitionLog = logTransitions(fsm);
+  await runFSM(fsm, states.DONE, 1, []);
+  return transitionLog;
+};
+
+test('fork points select entries by index, predicate or visit', async t => {
+  const transitionLog = await recordRun();
+  t.is(transitionLog.length, 4);
+  t.is(findForkPoint(transitionLog, 1), 1);
+  t.is(findForkPoint(transitionLog, -1), 3);
+  t.is(findForkPoint(transitionLog, entry => entry.output[1].includes("bad")), 1);
+  t.is(findForkPoint(transitionLog, {state: states.PAGE, visit: 3}), 2);
+  t.is(findForkPoint(transitionLog, {state: states.PAGE, visit: -1}), 2);
+  t.throws(() => findForkPoint(transitionLog, 4), {instanceOf: FSMError, message: "no transition log entry matches fork point 4"});
+  t.throws(() => findForkPoint(transitionLog, {state: states.PAGE, visit: 4}),
+    {instanceOf: FSMError, message: "transition log has no visit 4 to state PAGE"});
+  t.throws(() => findForkPoint(transitionLog, "PAGE"), {instanceOf: FSMError});
+});
+
+test('replayFrom reruns from an entry with its output or overridden args', async t => {
+  const transitionLog = await recordRun();
+  const reads = [];
+  // the first entry arrived in PAGE for page 2
+  t.deepEqual(await replayFrom(makeReaderFSM(4, reads), 0, states.DONE, transitionLog),
+    [states.DONE, ["page1", "bad", "page3", "page4"]]);
+  t.deepEqual(reads, [2, 3, 4]);
+  t.deepEqual(await replayFrom(makeReaderFSM(4), 0, states.DONE, transitionLog, {args: [2, ["fixed1"]]}),
+    [states.DONE, ["fixed1", "bad", "page3", "page4"]]);
+  t.deepEqual(await replayFrom(makeReaderFSM(4), {state: states.PAGE, visit: 2}, states.DONE, transitionLog,
+    {args: ([page, data]) => [page, data.map(value => value === "bad" ? "page2" : value)]}),
+  [states.DONE, ["page1", "page2", "page3", "page4"]]);
+});
+
+test('replayFrom resumes inside a child FSM', async t => {
+  const makeSyncFSM = reads => {
+    const fsm = new FSM(states.SYNC);
+    fsm.addTransition(states.SYNC, {nextState: states.SYNCED, child: {fsm: makeReaderFSM(3, reads), finalStates: states.DONE}});
+    return fsm;
+  };
+  const parent = makeSyncFSM();
+  const transitionLog = logTransitions(parent);
+  await runFSM(parent, states.SYNCED, 1, []);
+  const reads = [];
+  const result = await replayFrom(makeSyncFSM(reads), entry => entry.path && entry.input[0] === 2, states.SYNCED,
+    transitionLog, {args: ([page]) => [page, ["fixed"]]});
+  t.deepEqual(result, [states.SYNCED, ["fixed", "page3"]]);
+  t.deepEqual(reads, [3]);
+});
+
+test('branch logs share the prefix and refer to their parent', async t => {
+  const transitionLog = await recordRun();
+  const branchLog = forkLog(transitionLog, 1);
+  t.deepEqual([...branchLog], transitionLog.slice(0, 2));
+  t.deepEqual(branchLog.fork, {parent: transitionLog, index: 1});
+  const nested = forkLog(branchLog, 0);
+  t.is(nested.fork.parent.fork.parent, transitionLog);
+  t.deepEqual(branchEntries(branchLog), []);
+  t.is(branchEntries(transitionLog).length, 4);
+});
+
+test('forkRuns runs independent branches from the same fork point', async t => {
+  const transitionLog = await recordRun();
+  const branches = await forkRuns(() => makeReaderFSM(4), transitionLog, {state: states.PAGE, visit: 1}, [
+    undefined,
+    [2, ["page1!"]],
+    () => {
+      throw new Error("no args");
+    }
+  ], {finalStates: states.DONE});
+  t.deepEqual(branches.map(({result}) => result), [
+    [states.DONE, ["page1", "bad", "page3", "page4"]],
+    [states.DONE, ["page1!", "bad", "page3", "page4"]],
+    undefined
+  ]);
+  t.is(branches[2].error.message, "no args");
+  branches.slice(0, 2).forEach(branch => {
+    t.deepEqual(branch.transitionLog.fork, {parent: transitionLog, index: 0});
+    t.is(branch.transitionLog[0], transitionLog[0]);
+    t.deepEqual(branchEntries(branch.transitionLog).map(entry => entry.input[0]), [2, 3, 4]);
+  });
+  t.is(transitionLog.length, 4, "the parent log is unchanged");
+});
@@ -0,0 +1,143 @@
+const test = require('ava');
+const {FSM, FSMError, ERROR, runFSM, replayFSM, makeStates, logTransitions} = require('../lib/fsm.js');
+const {makeLogCodec} = require('../lib/logformat.js');
+const {MemoryJournal, journalTransitions, resumeFSM} = require('../lib/journal.js');
+const {createFSM} = require('../lib/definition.js');
+
+const readerStates = makeStates(Symbol("PAGE"), Symbol("DONE"), Symbol("EMPTY_STORE"));
+const syncStates = makeStates(Symbol("FETCH"), Symbol("STORE"), Symbol("SKIP"), Symbol("SYNCED"), Symbol("FAILED"));
+
+// reads pages until lastPage, failing (once) when it reaches crashAt
+const makeReaderFSM = (lastPage, crashAt) => {
+  const fsm = new FSM(readerStates.PAGE);
+  fsm.addTransition(readerStates.PAGE, {transitionFn: (page, acc) => {
+    if (page === crashAt) {
+      crashAt = undefined;
+      throw new Error("connection reset");
+    }
+    if (lastPage === 0) {
+      return [readerStates.EMPTY_STORE];
+    }
+    const data = acc.concat([`page${page}`]);
+    return page >= lastPage ? [readerStates.DONE, data] : [readerStates.PAGE, page + 1, data];
+  }});
+  return fsm;
+};
+
+const makeSyncFSM = (reader, options = {}) => {
+  const fsm = new FSM(syncStates.FETCH);
+  fsm.addTransition(syncStates.FETCH, {
+    child: {fsm: reader, finalStates: [readerStates.DONE, readerStates.EMPTY_STORE],
+      exits: {[readerStates.DONE]: syncStates.STORE, [readerStates.EMPTY_STORE]: syncStates.SKIP}},
+    errorState: syncStates.FAILED,
+    ...options
+  });
+  fsm.addTransition(syncStates.STORE, {transitionFn: data => [syncStates.SYNCED, data.length]});
+  fsm.addTransition(syncStates.SKIP, {nextState: syncStates.SYNCED, transitionFn: () => [0]});
+  return fsm;
+};
+
+test('a child FSM runs as a single transition of its parent', async t => {
+  const fsm = makeSyncFSM(makeReaderFSM(3));
+  t.deepEqual(await runFSM(fsm, syncStates.SYNCED, 1, []), [syncStates.SYNCED, 3]);
+  t.is(fsm.transitionCount, 2);
+  t.deepEqual(fsm.validTransitions[syncStates.FETCH][0].targets, [syncStates.STORE, syncStates.SKIP]);
+  t.deepEqual(await runFSM(makeSyncFSM(makeReaderFSM(0)), syncStates.SYNCED, 1, []), [syncStates.SYNCED, 0]);
+});
+
+test('the child is restarted from its initial state on each run', async t => {
+  const reader = makeReaderFSM(2);
+  const fsm = makeSyncFSM(reader);
+  await runFSM(fsm, syncStates.SYNCED, 1, []);
+  t.is(reader.currentState, readerStates.DONE);
+  fsm.currentState = syncStates.FETCH;
+  t.deepEqual(await runFSM(fsm, syncStates.SYNCED, 1, []), [syncStates.SYNCED, 2]);
+});
+
+test('without exits, nextState or the child final state becomes the parent state', async t => {
+  const parent = new FSM(syncStates.FETCH);
+  parent.addTransition(syncStates.FETCH, {nextState: syncStates.STORE, child: {fsm: makeReaderFSM(2), finalStates: readerStates.DONE}});
+  t.deepEqual(await parent.advance(1, []), [syncStates.STORE, ["page1", "page2"]]);
+  const shared = new FSM(syncStates.FETCH);
+  shared.addTransition(syncStates.FETCH, {child: {fsm: makeReaderFSM(1), finalStates: readerStates.DONE}});
+  t.deepEqual(await shared.advance(1, []), [readerStates.DONE, ["page1"]]);
+});
+
+test('child errors lead to the errorState of the parent transition', async t => {
+  const fsm = makeSyncFSM(makeReaderFSM(3, 2));
+  const errors = [];
+  fsm.on("transitionerror", ({error}) => errors.push(error.message));
+  const [state, error] = await runFSM(fsm, [syncStates.SYNCED, syncStates.FAILED], 1, []);
+  t.is(state, syncStates.FAILED);
+  t.is(error.message, "connection reset");
+  t.deepEqual(errors, ["connection reset"]);
+});
+
+test('addTransition rejects invalid children', t => {
+  const fsm = new FSM(syncStates.FETCH);
+  t.throws(() => fsm.addTransition(syncStates.FETCH, {child: {fsm: {}}}), {instanceOf: FSMError});
+  t.throws(() => fsm.addTransition(syncStates.FETCH, {child: {fsm: new FSM()}, transitionFn: () => true}), {instanceOf: FSMError});
+});
+
+test('child transitions appear in the parent log with their path', async t => {
+  const fsm = makeSyncFSM(makeReaderFSM(2));
+  const transitionLog = logTransitions(fsm);
+  await runFSM(fsm, syncStates.SYNCED, 1, []);
+  t.deepEqual(transitionLog.map(({path, from, to}) => [path, from, to]), [
+    [[syncStates.FETCH], readerStates.PAGE, readerStates.PAGE],
+    [[syncStates.FETCH], readerStates.PAGE, readerStates.DONE],
+    [undefined, syncStates.FETCH, syncStates.STORE],
+    [undefined, syncStates.STORE, syncStates.SYNCED]
+  ]);
+});
+
+test('nested children prepend all parent states to the path', async t => {
+  const middle = makeSyncFSM(makeReaderFSM(1));
+  const outer = new FSM(syncStates.FETCH);
+  outer.addTransition(syncStates.FETCH, {nextState: syncStates.SYNCED, child: {fsm: middle, finalStates: syncStates.SYNCED}});
+  const transitionLog = logTransitions(outer);
+  t.deepEqual(await runFSM(outer, syncStates.SYNCED, 1, []), [syncStates.SYNCED, 1]);
+  t.deepEqual(transitionLog.map(({path}) => path), [
+    [syncStates.FETCH, syncStates.FETCH], [syncStates.FETCH], [syncStates.FETCH], undefined]);
+});
+
+test('replayFSM resumes inside the child', async t => {
+  const reader = makeReaderFSM(4, 3);
+  const fsm = makeSyncFSM(reader);
+  const transitionLog = logTransitions(fsm);
+  t.is((await runFSM(fsm, [syncStates.SYNCED, syncStates.FAILED], 1, []))[0], syncStates.FAILED);
+  let calls = 0;
+  reader.on("pretransition", () => calls++);
+  const codec = makeLogCodec({states: {...readerStates, ...syncStates}, fsm});
+  const decoded = codec.parse(codec.stringify(transitionLog));
+  t.is(decoded[0].transition, reader.validTransitions[readerStates.PAGE][0], "child transitions are decoded by path");
+  t.deepEqual(await replayFSM(fsm, [syncStates.FETCH, readerStates.PAGE], syncStates.SYNCED, decoded), [syncStates.SYNCED, 4]);
+  t.is(calls, 2, "pages 1 and 2 are not read again");
+  t.throws(() => replayFSM(fsm, [syncStates.STORE, readerStates.PAGE], syncStates.SYNCED, decoded),
+    {instanceOf: FSMError, message: "no child FSM is run from state STORE"});
+});
+
+test('resumeFSM continues a journal inside the child', async t => {
+  const fsm = makeSyncFSM(makeReaderFSM(3, 3));
+  const journal = journalTransitions(fsm, new MemoryJournal());
+  await runFSM(fsm, [syncStates.SYNCED, syncStates.FAILED], 1, []);
+  // as if the process died while reading page 3, before any further transition was journaled
+  const entries = (await journal.read()).filter(entry => entry.path && entry.to !== ERROR);
+  const resumed = makeSyncFSM(makeReaderFSM(3));
+  const resumedLog = logTransitions(resumed);
+  t.deepEqual(await resumeFSM(resumed, new MemoryJournal(entries), syncStates.SYNCED), [syncStates.SYNCED, 3]);
+  t.is(resumedLog.filter(entry => entry.path).length, 1);
+});
+
+test('definitions may declare child transitions', async t => {
+  const fsm = createFSM({
+    initialState: syncStates.FETCH,
+    states: [syncStates.FETCH, syncStates.STORE, syncStates.SYNCED],
+    finalStates: [syncStates.SYNCED],
+    transitions: {
+      FETCH: [{nextState: syncStates.STORE, child: {fsm: makeReaderFSM(2), finalStates: readerStates.DONE}}],
+      STORE: [{transitionFn: data => [syncStates.SYNCED, data.length], targets: [syncStates.SYNCED]}]
+    }
+  });
+  t.deepEqual(await runFSM(fsm, syncStates.SYNCED, 1, []), [syncStates.SYNCED, 2]);
+});
@@ -0,0 +1,98 @@
+const test = require('ava');
+const {FSM, ERROR, makeStates, logTransitions, runFSM} = require('../lib/fsm.js');
+const {makeLogCodec} = require('../lib/logformat.js');
+const {createFSM} = require('../lib/definition.js');
+const {transitionCoverage, formatCoverage, generatePaths} = require('../lib/coverage.js');
+
+const states = makeStates("START", "FETCH", "RETRY", "DONE", "FAILED");
+
+const makeFetchFSM = (responses) => {
+  const fsm = new FSM(states.START);
+  fsm.addTransition(states.START, {nextState: states.FETCH, transitionFn: url => [url]});
+  // shadowed, START's first transition always applies
+  fsm.addTransition(states.START, {nextState: states.DONE});
+  fsm.addTransition(states.FETCH, {errorState: states.FAILED, targets: [states.DONE, states.RETRY], transitionFn: url => {
+    const response = responses.shift();
+    if (response instanceof Error) {
+      throw response;
+    }
+    return response === 503 ? [states.RETRY, url] : [states.DONE, response];
+  }});
+  fsm.addTransition(states.RETRY, {nextState: states.FETCH, after: 100, transitionFn: url => [url]});
+  fsm.addTransition(states.RETRY, {nextState: states.FETCH, transitionFn: url => [url]});
+  return fsm;
+};
+
+const recordRun = async responses => {
+  const fsm = makeFetchFSM(responses);
+  const transitionLog = logTransitions(fsm);
+  await runFSM(fsm, [states.DONE, states.FAILED], "url");
+  return [fsm, transitionLog];
+};
+
+test('coverage reports taken, untaken and shadowed transitions', async t => {
+  const [fsm, transitionLog] = await recordRun([200]);
+  const coverage = transitionCoverage(fsm, transitionLog);
+  t.deepEqual(coverage.transitions.map(({from, index, outcome, count, status, shadowedBy}) =>
+    [from, index, outcome, count, status, shadowedBy]), [
+    [states.START, 0, "success", 1, "taken", null],
+    [states.START, 0, "error", 0, "untaken", null],
+    [states.START, 1, "success", 0, "shadowed", 0],
+    [states.FETCH, 0, "success", 1, "taken", null],
+    [states.FETCH, 0, "error", 0, "untaken", null],
+    [states.RETRY, 0, "success", 0, "untaken", null],
+    [states.RETRY, 0, "error", 0, "untaken", null],
+    [states.RETRY, 1, "success", 0, "untaken", null],
+    [states.RETRY, 1, "error", 0, "untaken", null]
+  ]);
+  t.deepEqual({total: coverage.total, taken: coverage.taken, untaken: coverage.untaken, shadowed: coverage.shadowed},
+    {total: 9, taken: 2, untaken: 6, shadowed: 1});
+  t.deepEqual(coverage.unmatched, []);
+});
+
+test('coverage combines several logs and counts error edges', async t => {
+  const [fsm, firstLog] = await recordRun([503, 200]);
+  const [otherFsm, secondLog] = await recordRun([new Error("reset")]);
+  // the second log was recorded by another instance, eg. in another process
+  const json = makeLogCodec({states, fsm: otherFsm}).stringify(secondLog);
+  const coverage = transitionCoverage(fsm, firstLog, makeLogCodec({states, fsm}).parse(json));
+  const row = (from, index, outcome) => coverage.transitions.find(r => r.from === from && r.index === index && r.outcome === outcome);
+  t.deepEqual(row(states.FETCH, 0, "success").targets, [{to: states.RETRY, count: 1}, {to: states.DONE, count: 1}]);
+  t.is(row(states.FETCH, 0, "error").count, 1);
+  t.is(row(states.START, 0, "success").count, 2);
+  t.is(row(states.RETRY, 1, "success").status, "taken");
+  t.is(coverage.taken, 4);
+  t.deepEqual(transitionCoverage(fsm, secondLog).unmatched, secondLog, "entries of other FSM instances match nothing");
+  t.is(formatCoverage(coverage).split("\n")[2], "[shadowed] START #1 success by #0");
+  t.is(formatCoverage(coverage).split("\n")[3], "[taken] FETCH #0 success -> RETRY, DONE (2x)");
+});
+
+test('generatePaths enumerates the paths to final states up to a depth', t => {
+  const fsm = makeFetchFSM([]);
+  const paths = generatePaths(fsm, {finalStates: [states.DONE, states.FAILED], maxDepth: 4});
+  t.deepEqual(paths.map(({states}) => states.map(state => state.toString()).join(" ")), [
+    "START FETCH DONE",
+    "START FETCH RETRY FETCH DONE",
+    "START FETCH RETRY FETCH FAILED",
+    "START FETCH RETRY FETCH DONE",
+    "START FETCH RETRY FETCH FAILED",
+    "START FETCH FAILED"
+  ]);
+  t.deepEqual(paths[1].steps.map(({index, kind}) => [index, kind]), [[0, "next"], [0, "dynamic"], [0, "next"], [0, "dynamic"]]);
+  t.deepEqual(paths[3].steps[2], {from: states.RETRY, to: states.FETCH, index: 1, kind: "next"});
+  t.is(generatePaths(fsm, {finalStates: [states.DONE], maxDepth: 2, includeErrors: false}).length, 1);
+});
+
+test('generatePaths works on definitions and with runFSM style final states', t => {
+  const definition = {
+    initialState: states.START,
+    states: [states.START, states.DONE],
+    finalStates: [states.DONE],
+    transitions: {START: [{transitionFn: () => states.DONE, targets: [states.DONE]}]}
+  };
+  const withErrors = [[states.START, states.DONE], [states.START, ERROR]];
+  t.deepEqual(generatePaths(definition).map(path => path.states), withErrors, "ERROR is final by default");
+  t.deepEqual(generatePaths(createFSM(definition)).map(path => path.states), withErrors);
+  t.deepEqual(generatePaths(definition, {finalStates: states.DONE}).map(path => path.states), withErrors);
+  t.deepEqual(generatePaths(definition, {includeErrors: false}).map(path => path.states), [[states.START, states.DONE]]);
+});
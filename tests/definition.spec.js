@@ -0,0 +1,111 @@
+const test = require('ava');
+const {FSM, FSMError, ERROR, runFSM, makeStates} = require('../lib/fsm.js');
+const {FSMDefinitionError, validateDefinition, createFSM} = require('../lib/definition.js');
+
+const states = makeStates("START", "PAGE", "FAILED", "FINISHED");
+
+const makeDefinition = (overrides = {}) => Object.assign({
+  initialState: states.START,
+  states,
+  finalStates: [states.FINISHED],
+  functions: {
+    start: (n) => [1, n]
+  },
+  transitions: {
+    START: [{nextState: states.PAGE, transitionFn: "start", errorState: "FAILED"}],
+    PAGE: [{transitionFn: (page, n) => page >= n ? [states.FINISHED, page] : [states.PAGE, page + 1, n],
+            targets: [states.PAGE, states.FINISHED]}],
+    FAILED: [{nextState: states.FINISHED}]
+  }
+}, overrides);
+
+const issueTypes = definition => validateDefinition(definition).map(({type, state}) => [type, state]);
+
+test('valid definition has no issues', t => {
+  t.deepEqual(validateDefinition(makeDefinition()), []);
+});
+
+test('createFSM builds a runnable FSM', async t => {
+  const fsm = createFSM(makeDefinition());
+  t.true(fsm instanceof FSM);
+  t.is(fsm.currentState, states.START);
+  t.deepEqual(fsm.validTransitions[states.PAGE][0].targets, [states.PAGE, states.FINISHED]);
+  t.deepEqual(await runFSM(fsm, states.FINISHED, 3), [states.FINISHED, 3]);
+});
+
+test('transitions pointing at undeclared states are reported', t => {
+  t.deepEqual(issueTypes(makeDefinition({transitions: {
+    START: [{nextState: "NOWHERE"}],
+    PAGE: [{nextState: states.FINISHED}],
+    FAILED: [{nextState: states.FINISHED}]
+  }})), [["undeclaredState", "NOWHERE"], ["unreachableState", states.PAGE], ["unreachableState", states.FAILED],
+    ["unreachableState", states.FINISHED]]);
+});
+
+test('unknown function names are reported', t => {
+  const [issue] = validateDefinition(makeDefinition({functions: {}}));
+  t.is(issue.type, "unknownFunction");
+  t.is(issue.function, "start");
+  t.is(issue.severity, "error");
+});
+
+test('unreachable states are reported as warnings', t => {
+  const definition = makeDefinition({transitions: {
+    START: [{nextState: states.FINISHED}],
+    PAGE: [{nextState: states.FINISHED}],
+    FAILED: [{nextState: states.FINISHED}]
+  }});
+  const issues = validateDefinition(definition);
+  t.deepEqual(issues.map(({type, severity, state}) => [type, severity, state]),
+    [["unreachableState", "warning", states.PAGE], ["unreachableState", "warning", states.FAILED]]);
+  // warnings do not prevent building the FSM
+  t.notThrows(() => createFSM(definition));
+});
+
+test('dynamic transitions without targets may reach any state', t => {
+  t.deepEqual(issueTypes(makeDefinition({transitions: {
+    START: [{transitionFn: () => states.FINISHED}],
+    PAGE: [{nextState: states.FINISHED}],
+    FAILED: [{nextState: states.FINISHED}]
+  }})), []);
+});
+
+test('non-final states without transitions are reported', t => {
+  t.deepEqual(issueTypes(makeDefinition({finalStates: []})), [["deadEnd", states.FINISHED]]);
+});
+
+test('errorStates which lead nowhere are reported', t => {
+  const definition = makeDefinition({transitions: {
+    START: [{nextState: states.PAGE, transitionFn: "start", errorState: "FAILED"}],
+    PAGE: [{nextState: states.FINISHED}]
+  }});
+  const [issue] = validateDefinition(definition);
+  t.is(issue.type, "deadErrorState");
+  t.is(issue.message, "errorState FAILED leads nowhere");
+  const error = t.throws(() => createFSM(definition), {instanceOf: FSMDefinitionError});
+  t.true(error instanceof FSMError);
+  t.deepEqual(error.issues.map(i => i.type), ["deadErrorState"]);
+});
+
+test('ERROR is implicitly declared and final', t => {
+  t.deepEqual(issueTypes(makeDefinition({transitions: {
+    START: [{nextState: states.PAGE, transitionFn: "start", errorState: ERROR}],
+    PAGE: [{nextState: states.FINISHED}],
+    FAILED: [{nextState: states.FINISHED}]
+  }})).filter(([type]) => type !== "unreachableState"), []);
+});
+
+test('symbol states are referenced by label', async t => {
+  const symbolStates = makeStates(Symbol("A"), Symbol("B"));
+  const fsm = createFSM({
+    initialState: symbolStates.A,
+    states: symbolStates,
+    finalStates: [symbolStates.B],
+    transitions: {A: [{nextState: "B"}]}
+  });
+  t.deepEqual(await runFSM(fsm, symbolStates.B), [symbolStates.B]);
+});
+
+test('missing initialState is reported', t => {
+  t.deepEqual(issueTypes(makeDefinition({initialState: undefined})), [["missingInitialState", undefined]]);
+});
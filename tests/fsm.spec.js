@@ -1,6 +1,8 @@
 // AVA tutorial: https://itenium.be/blog/javascript/ava-tutorial/
 const test = require('ava');
-const {FSM, FSMError, ERROR, EMPTY, runFSM, replayFSM, makeStates, logTransitions} = require('../lib/fsm.js');
+const {FSM, FSMError, TransitionTimeoutError, FSMRunError, FSMAbortError, StepLimitError, DeadlineExceededError,
+  ERROR, EMPTY, iterateFSM, startFSM, runFSM, replayFSM, makeStates, logTransitions, stopLogging} = require('../lib/fsm.js');
+const {ManualClock} = require('../lib/clock.js');
 
 test('advance leads to next state', async t => {
   const states = makeStates("A", "B");
@@ -227,3 +229,439 @@ test('replayFSM continues with correct input arguments', async t => {
   t.deepEqual(transitionLog2.map(x => x.from), [states.ODD, states.EVEN, states.ODD], "transition log from states match");
 });
 
+
+test('failed transitionFn attempts are retried with exponential backoff', async t => {
+  const states = makeStates("A", "B", "FAILED");
+  const clock = new ManualClock();
+  const fsm = new FSM(states.A, {clock});
+  const callTimes = [];
+  fsm.addTransition(states.A, {nextState: states.B, errorState: states.FAILED, retry: {maxAttempts: 4, initialDelay: 100}, transitionFn: x => {
+    callTimes.push(clock.now());
+    if (callTimes.length < 4) {
+      throw new Error(`attempt ${callTimes.length} failed`);
+    }
+    return [x];
+  }});
+  const transitionLog = logTransitions(fsm);
+  const attemptEvents = [];
+  fsm.on("transitionattempt", ({attempt, error, retryDelay}) => attemptEvents.push([attempt, error && error.message, retryDelay]));
+  const result = fsm.advance("ok");
+  await clock.advance(700);
+  t.deepEqual(await result, [states.B, "ok"]);
+  t.deepEqual(callTimes, [0, 100, 300, 700]);
+  t.deepEqual(attemptEvents, [[1, "attempt 1 failed", 100], [2, "attempt 2 failed", 200], [3, "attempt 3 failed", 400], [4, undefined, undefined]]);
+  t.deepEqual(transitionLog[0].attempts.map(a => [a.attempt, a.startTime]), [[1, 0], [2, 100], [3, 300], [4, 700]]);
+});
+
+test('errorState is entered when retries are exhausted', async t => {
+  const states = makeStates("A", "B", "FAILED");
+  const clock = new ManualClock();
+  const fsm = new FSM(states.A, {clock});
+  let calls = 0;
+  fsm.addTransition(states.A, {nextState: states.B, errorState: states.FAILED,
+    retry: {maxAttempts: 3, initialDelay: 10, factor: 3, maxDelay: 20},
+    transitionFn: () => {
+      calls++;
+      throw new Error("still failing");
+    }});
+  const result = fsm.advance();
+  await clock.advance(30);
+  const [state, error] = await result;
+  t.is(state, states.FAILED);
+  t.is(error.message, "still failing");
+  t.is(calls, 3);
+  t.is(clock.now(), 30, "second delay capped by maxDelay");
+});
+
+test('only errors accepted by the retryable predicate are retried', async t => {
+  const states = makeStates("A", "B");
+  const fsm = new FSM(states.A, {clock: new ManualClock()});
+  let calls = 0;
+  fsm.addTransition(states.A, {nextState: states.B, retry: {maxAttempts: 5, retryable: e => e.code === 'ECONNRESET'},
+    transitionFn: () => {
+      calls++;
+      throw Object.assign(new Error("bad request"), {code: 'EINVAL'});
+    }});
+  const [state] = await fsm.advance();
+  t.is(state, ERROR);
+  t.is(calls, 1);
+});
+
+test('jitter reduces the backoff delay by a random fraction', async t => {
+  const states = makeStates("A", "B");
+  const clock = new ManualClock();
+  const fsm = new FSM(states.A, {clock});
+  let calls = 0;
+  fsm.addTransition(states.A, {nextState: states.B, retry: {maxAttempts: 2, initialDelay: 100, jitter: 0.5, random: () => 0.5},
+    transitionFn: () => {
+      if (++calls === 1) {
+        throw new Error("flaky");
+      }
+    }});
+  const delays = [];
+  fsm.on("transitionattempt", ({retryDelay}) => delays.push(retryDelay));
+  const result = fsm.advance();
+  await clock.advance(75);
+  t.deepEqual(await result, [states.B]);
+  t.deepEqual(delays, [75, undefined]);
+});
+
+test('attempts exceeding the timeout fail with TransitionTimeoutError', async t => {
+  const states = makeStates("A", "B", "TIMEOUT");
+  const clock = new ManualClock();
+  const fsm = new FSM(states.A, {clock});
+  let calls = 0;
+  fsm.addTransition(states.A, {nextState: states.B, errorState: states.TIMEOUT, timeout: 1000, retry: {maxAttempts: 2},
+    transitionFn: () => {
+      calls++;
+      return new Promise(() => {});
+    }});
+  const result = fsm.advance();
+  await clock.advance(2000);
+  const [state, error] = await result;
+  t.is(state, states.TIMEOUT);
+  t.true(error instanceof TransitionTimeoutError);
+  t.true(error instanceof FSMError);
+  t.is(error.timeout, 1000);
+  t.is(calls, 2);
+  t.is(clock.pending(), 0, "no timers left behind");
+});
+
+test('invalid retry and timeout policies are rejected', t => {
+  const states = makeStates("A", "B");
+  const fsm = new FSM(states.A);
+  t.throws(() => fsm.addTransition(states.A, {transitionFn: () => states.B, retry: {maxAttempts: 0}}), {instanceOf: FSMError});
+  t.throws(() => fsm.addTransition(states.A, {transitionFn: () => states.B, retry: {jitter: 2}}), {instanceOf: FSMError});
+  t.throws(() => fsm.addTransition(states.A, {transitionFn: () => states.B, timeout: -1}), {instanceOf: FSMError});
+  t.throws(() => fsm.addTransition(states.A, {nextState: states.B, timeout: 10}), {instanceOf: FSMError});
+});
+
+const makeLoopFSM = (clock) => {
+  const states = makeStates("LOOP", "DONE");
+  const fsm = new FSM(states.LOOP, {clock});
+  fsm.addTransition(states.LOOP, {nextState: states.LOOP, transitionFn: x => [x + 1]});
+  return [states, fsm];
+};
+
+test('startFSM stops with StepLimitError after maxSteps transitions', async t => {
+  const [states, fsm] = makeLoopFSM();
+  const error = await t.throwsAsync(startFSM(fsm, states.DONE, {maxSteps: 5}, 0).result, {instanceOf: StepLimitError});
+  t.true(error instanceof FSMRunError);
+  t.is(error.state, states.LOOP);
+  t.deepEqual(error.output, [5]);
+  t.is(error.maxSteps, 5);
+  // the run can be continued from where it stopped
+  await t.throwsAsync(startFSM(fsm, states.DONE, {maxSteps: 2}, ...error.output).result, {instanceOf: StepLimitError, message: /step limit of 2/});
+});
+
+test('aborting the signal stops the run and is passed on to transitionFn', async t => {
+  const states = makeStates("A", "B", "C");
+  const fsm = new FSM(states.A);
+  let transitionSignal, started;
+  const transitionStarted = new Promise(resolve => {
+    started = resolve;
+  });
+  fsm.addTransition(states.A, {nextState: states.B, transitionFn: x => [x]});
+  fsm.addTransition(states.B, {nextState: states.C, transitionFn: function () {
+    transitionSignal = this.signal;
+    started();
+    // never settles on its own
+    return new Promise(() => {});
+  }});
+  const controller = new AbortController();
+  const run = startFSM(fsm, states.C, {signal: controller.signal}, "input");
+  await transitionStarted;
+  t.false(transitionSignal.aborted);
+  controller.abort("user cancelled");
+  const error = await t.throwsAsync(run.result, {instanceOf: FSMAbortError});
+  t.true(transitionSignal.aborted);
+  t.is(error.reason, "user cancelled");
+  t.is(error.state, states.B);
+  t.deepEqual(error.output, ["input"]);
+  t.is(fsm.currentState, states.B, "FSM stays in the state it was aborted in");
+  t.false(fsm.inTransition);
+});
+
+test('transitions withContext pass the context to arrow functions as the last argument', async t => {
+  const states = makeStates("A", "B", "C");
+  const fsm = new FSM(states.A);
+  const contexts = [];
+  fsm.addTransition(states.A, {nextState: states.B, withContext: true, retry: {maxAttempts: 2}, transitionFn: (x, context) => {
+    contexts.push(context);
+    if (context.attempt === 1) {
+      throw new Error("unavailable");
+    }
+    return [x];
+  }});
+  fsm.addTransition(states.B, {nextState: states.C, transitionFn: (...args) => args});
+  const controller = new AbortController();
+  t.deepEqual(await startFSM(fsm, states.C, {signal: controller.signal}, "input").result, [states.C, "input"]);
+  t.deepEqual(contexts.map(({attempt}) => attempt), [1, 2]);
+  t.true(contexts[1].signal instanceof AbortSignal);
+  fsm.currentState = states.B;
+  t.deepEqual(await fsm.advance("plain"), [states.C, "plain"], "transitions without withContext get the input only");
+  t.throws(() => fsm.addTransition(states.C, {nextState: states.A, withContext: true}),
+    {instanceOf: FSMError, message: "withContext of transition from C requires a transitionFn"});
+});
+
+test('a second run of the same FSM is refused without affecting the first', async t => {
+  const states = makeStates("A", "B");
+  const clock = new ManualClock();
+  const fsm = new FSM(states.A, {clock});
+  fsm.addTransition(states.A, {nextState: states.B, transitionFn: x => new Promise(resolve => clock.setTimeout(() => resolve([x]), 100))});
+  const run = startFSM(fsm, states.B, {deadline: 1000}, "input");
+  await t.throwsAsync(runFSM(fsm, states.B), {instanceOf: FSMError, message: "cannot run while another run drives the FSM"});
+  const runEnds = [];
+  fsm.on("runend", data => runEnds.push(data));
+  await clock.advance(50);
+  run.abort("stop");
+  const error = await t.throwsAsync(run.result, {instanceOf: FSMAbortError});
+  t.is(error.state, states.A);
+  t.is(fsm.currentState, states.A);
+  t.is(runEnds.length, 1);
+  const again = runFSM(fsm, states.B, "again");
+  await clock.advance(100);
+  t.deepEqual(await again, [states.B, "again"]);
+});
+
+test('an already aborted signal prevents any transition', async t => {
+  const [states, fsm] = makeLoopFSM();
+  fsm.on("pretransition", () => t.fail("transition started"));
+  const controller = new AbortController();
+  controller.abort();
+  await t.throwsAsync(startFSM(fsm, states.DONE, {signal: controller.signal}, 0).result, {instanceOf: FSMAbortError});
+});
+
+test('aborting interrupts retry backoff', async t => {
+  const states = makeStates("A", "B");
+  const clock = new ManualClock();
+  const fsm = new FSM(states.A, {clock});
+  let calls = 0;
+  fsm.addTransition(states.A, {nextState: states.B, retry: {maxAttempts: 3, initialDelay: 60000}, transitionFn: () => {
+    calls++;
+    throw new Error("unavailable");
+  }});
+  const run = startFSM(fsm, states.B);
+  await clock.advance(0);
+  run.abort();
+  await t.throwsAsync(run.result, {instanceOf: FSMAbortError});
+  t.is(calls, 1);
+  t.is(clock.pending(), 0);
+});
+
+test('deadline stops the run with DeadlineExceededError', async t => {
+  const states = makeStates("WAIT", "DONE");
+  const clock = new ManualClock(1000);
+  const fsm = new FSM(states.WAIT, {clock});
+  fsm.addTransition(states.WAIT, {transitionFn: function (n) {
+    return new Promise(resolve => clock.setTimeout(() => resolve([states.WAIT, n + 1]), 100));
+  }});
+  const run = startFSM(fsm, states.DONE, {deadline: 1250}, 0);
+  await clock.advance(300);
+  const error = await t.throwsAsync(run.result, {instanceOf: DeadlineExceededError});
+  t.is(error.deadline, 1250);
+  t.is(error.state, states.WAIT);
+  t.deepEqual(error.output, [2]);
+});
+
+test('pause() stops between transitions until resume()', async t => {
+  const states = makeStates("A", "B", "C");
+  const fsm = new FSM(states.A);
+  fsm.addTransition(states.A, {nextState: states.B, transitionFn: x => [x + 1]});
+  fsm.addTransition(states.B, {nextState: states.C, transitionFn: x => [x + 1]});
+  const run = startFSM(fsm, states.C, {}, 0);
+  const paused = run.pause();
+  await paused;
+  t.true(run.paused);
+  const stateWhilePaused = fsm.currentState;
+  await new Promise(resolve => setImmediate(resolve));
+  t.is(fsm.currentState, stateWhilePaused, "no transitions while paused");
+  run.resume();
+  t.deepEqual(await run.result, [states.C, 2]);
+  t.false(run.paused);
+});
+
+test('pause() after the run ended is fulfilled right away', async t => {
+  const [states, fsm] = makeLoopFSM();
+  const run = startFSM(fsm, states.DONE, {maxSteps: 3}, 0);
+  await t.throwsAsync(run.result, {instanceOf: StepLimitError});
+  await run.pause();
+  t.false(run.paused);
+});
+
+test('aborting a paused run rejects it', async t => {
+  const [states, fsm] = makeLoopFSM();
+  const run = startFSM(fsm, states.DONE, {}, 0);
+  await run.pause();
+  run.abort("shutdown");
+  const error = await t.throwsAsync(run.result, {instanceOf: FSMAbortError});
+  t.is(error.reason, "shutdown");
+});
+
+const makePageFSM = (lastPage) => {
+  const states = makeStates("FETCH", "FINISHED");
+  const fsm = new FSM(states.FETCH);
+  fsm.addTransition(states.FETCH, {transitionFn: (page, acc) => {
+    const data = acc.concat([`page${page}`]);
+    return page >= lastPage ? [states.FINISHED, data] : [states.FETCH, page + 1, data];
+  }});
+  return [states, fsm];
+};
+
+// serial, as it hides AbortController like node versions before 15
+test.serial('advance, runFSM and replayFSM do not need AbortController', async t => {
+  const saved = global.AbortController;
+  delete global.AbortController;
+  try {
+    const [states, fsm] = makePageFSM(3);
+    const transitionLog = logTransitions(fsm);
+    t.deepEqual(await fsm.advance(1, []), [states.FETCH, 2, ["page1"]]);
+    t.deepEqual(await runFSM(fsm, states.FINISHED, 2, ["page1"]), [states.FINISHED, ["page1", "page2", "page3"]]);
+    t.deepEqual(await replayFSM(fsm, states.FETCH, states.FINISHED, transitionLog.slice(0, 1)),
+      [states.FINISHED, ["page1", "page2", "page3"]]);
+  } finally {
+    global.AbortController = saved;
+  }
+});
+
+test('fsm.run() yields every transition', async t => {
+  const [states, fsm] = makePageFSM(3);
+  const steps = [];
+  for await (const step of fsm.run(states.FINISHED, 1, [])) {
+    steps.push(step);
+  }
+  t.deepEqual(steps.map(({from, to, input, output}) => [from, to, input[0], output]), [
+    [states.FETCH, states.FETCH, 1, [2, ["page1"]]],
+    [states.FETCH, states.FETCH, 2, [3, ["page1", "page2"]]],
+    [states.FETCH, states.FINISHED, 3, [["page1", "page2", "page3"]]]
+  ]);
+  t.true(steps[0].time instanceof Date);
+  t.is(steps[0].transition, fsm.validTransitions[states.FETCH][0]);
+});
+
+test('iterator returns the final [state, ...output]', async t => {
+  const [states, fsm] = makePageFSM(2);
+  const steps = iterateFSM(fsm, states.FINISHED, {}, 1, []);
+  let next;
+  while (!(next = await steps.next()).done) {
+  }
+  t.deepEqual(next.value, [states.FINISHED, ["page1", "page2"]]);
+});
+
+test('breaking out of the iteration stops the machine', async t => {
+  const [states, fsm] = makePageFSM(100);
+  let transitions = 0;
+  fsm.on("posttransition", () => transitions++);
+  for await (const step of fsm.run(states.FINISHED, 1, [])) {
+    if (step.input[0] === 3) {
+      break;
+    }
+  }
+  await new Promise(resolve => setImmediate(resolve));
+  t.is(transitions, 3);
+  t.false(fsm.inTransition);
+  t.is(fsm.signal, undefined);
+  // the FSM can be driven again from where the iteration stopped
+  t.deepEqual(await fsm.advance(4, []), [states.FETCH, 5, ["page4"]]);
+});
+
+test('errors thrown by transitions propagate out of the iteration', async t => {
+  const [states, fsm] = makeLoopFSM();
+  await t.throwsAsync(async () => {
+    for await (const _step of iterateFSM(fsm, states.DONE, {maxSteps: 2}, 0)) {
+    }
+  }, {instanceOf: StepLimitError});
+});
+
+test('on() returns an unsubscribe function, off() removes listeners', async t => {
+  const states = makeStates("A");
+  const fsm = new FSM(states.A);
+  fsm.addTransition(states.A, {nextState: states.A, transitionFn: () => true});
+  const calls = {first: 0, second: 0};
+  const first = () => calls.first++;
+  const unsubscribe = fsm.on("posttransition", () => calls.second++);
+  fsm.on("posttransition", first);
+  await fsm.advance();
+  unsubscribe();
+  fsm.off("posttransition", first);
+  await fsm.advance();
+  t.deepEqual(calls, {first: 1, second: 1});
+  t.deepEqual(fsm.callbacks, {});
+});
+
+test('once() listeners are called for the next event only', async t => {
+  const states = makeStates("A");
+  const fsm = new FSM(states.A);
+  fsm.addTransition(states.A, {nextState: states.A, transitionFn: () => true});
+  const inputs = [];
+  const listener = ({input}) => inputs.push(input[0]);
+  fsm.once("posttransition", listener);
+  fsm.once("posttransition", listener);
+  fsm.off("posttransition", listener);
+  await fsm.advance(1);
+  await fsm.advance(2);
+  t.deepEqual(inputs, [1], "off() removes once() listeners by their callback");
+  const unsubscribe = fsm.once("posttransition", listener);
+  unsubscribe();
+  await fsm.advance(3);
+  t.deepEqual(inputs, [1]);
+});
+
+test('onExit and onEnter hooks run in order for their states', async t => {
+  const states = makeStates("A", "B");
+  const fsm = new FSM(states.A);
+  fsm.addTransition(states.A, {nextState: states.B, transitionFn: () => true});
+  fsm.addTransition(states.B, {nextState: states.B, transitionFn: () => true});
+  const calls = [];
+  fsm.onExit(states.A, ({from, to}) => calls.push(["exit A", from, to]));
+  const stopEnterB = fsm.onEnter(states.B, ({from}) => calls.push(["enter B", from]));
+  fsm.onEnter(states.A, () => calls.push(["enter A"]));
+  fsm.on("posttransition", () => calls.push(["posttransition"]));
+  await fsm.advance();
+  await fsm.advance();
+  stopEnterB();
+  await fsm.advance();
+  t.deepEqual(calls, [
+    ["exit A", states.A, states.B], ["enter B", states.A], ["posttransition"],
+    ["enter B", states.B], ["posttransition"],
+    ["posttransition"]
+  ]);
+});
+
+test('transitionerror is emitted before falling back to errorState', async t => {
+  const states = makeStates("A", "B", "FAILED");
+  const fsm = new FSM(states.A);
+  const error = new Error("boom");
+  fsm.addTransition(states.A, {nextState: states.B, errorState: states.FAILED, transitionFn: () => { throw error; }});
+  const events = [];
+  fsm.on("transitionerror", data => events.push({...data, currentState: fsm.currentState}));
+  t.deepEqual(await fsm.advance(1), [states.FAILED, error]);
+  t.deepEqual(events, [{from: states.A, transition: fsm.validTransitions[states.A][0], input: [1], error,
+    errorState: states.FAILED, currentState: states.A}]);
+});
+
+test('final is emitted when a run reaches a final state', async t => {
+  const states = makeStates("A", "B", "DONE");
+  const fsm = new FSM(states.A);
+  fsm.addTransition(states.A, {nextState: states.B, transitionFn: x => [x]});
+  fsm.addTransition(states.B, {nextState: states.DONE, transitionFn: x => [x + 1]});
+  const events = [];
+  fsm.on("final", data => events.push(data));
+  t.deepEqual(await runFSM(fsm, states.DONE, 1), [states.DONE, 2]);
+  t.deepEqual(events, [{state: states.DONE, output: [2]}]);
+});
+
+test('stopLogging removes the listener of logTransitions', async t => {
+  const states = makeStates("A");
+  const fsm = new FSM(states.A);
+  fsm.addTransition(states.A, {nextState: states.A, transitionFn: () => true});
+  const transitionLog = logTransitions(fsm);
+  const otherLog = logTransitions(fsm);
+  await fsm.advance();
+  stopLogging(fsm, transitionLog);
+  await fsm.advance();
+  t.is(transitionLog.length, 1);
+  t.is(otherLog.length, 2);
+  stopLogging(fsm, otherLog);
+  t.deepEqual(fsm.callbacks, {});
+});
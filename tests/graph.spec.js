@@ -0,0 +1,124 @@
+const test = require('ava');
+const {FSM, ERROR, EMPTY, runFSM, makeStates, logTransitions} = require('../lib/fsm.js');
+const {createFSM} = require('../lib/definition.js');
+const {EDGE_KINDS, ANY_STATE, toGraph, toDOT, toMermaid} = require('../lib/graph.js');
+
+const states = makeStates("PRE_REQUEST", "POST_REQUEST", "FAILED", "FINISHED");
+
+function makeRequest(page) {
+  return [page];
+}
+
+function parseResponse(page) {
+  return page >= 3 ? [states.FINISHED, page] : [states.PRE_REQUEST, page + 1];
+}
+
+const definition = {
+  initialState: states.PRE_REQUEST,
+  states,
+  finalStates: [states.FINISHED],
+  transitions: {
+    PRE_REQUEST: [{nextState: states.POST_REQUEST, transitionFn: makeRequest, errorState: states.FAILED}],
+    POST_REQUEST: [{transitionFn: parseResponse, targets: [states.PRE_REQUEST, states.FINISHED]}],
+    FAILED: [{nextState: states.FINISHED}]
+  }
+};
+
+const edgeSummary = graph => graph.edges.map(({from, to, index, kind, visits}) => [from, to, index, kind, visits]);
+
+test('graph of a definition has typed, prioritized edges', t => {
+  const graph = toGraph(definition);
+  t.is(graph.initialState, states.PRE_REQUEST);
+  t.deepEqual(graph.finalStates, [states.FINISHED]);
+  t.deepEqual(edgeSummary(graph), [
+    [states.PRE_REQUEST, states.POST_REQUEST, 0, EDGE_KINDS.next, 0],
+    [states.PRE_REQUEST, states.FAILED, 0, EDGE_KINDS.error, 0],
+    [states.POST_REQUEST, states.PRE_REQUEST, 0, EDGE_KINDS.dynamic, 0],
+    [states.POST_REQUEST, states.FINISHED, 0, EDGE_KINDS.dynamic, 0],
+    [states.POST_REQUEST, ERROR, 0, EDGE_KINDS.error, 0],
+    [states.FAILED, states.FINISHED, 0, EDGE_KINDS.next, 0]
+  ]);
+});
+
+test('dynamic transitions without targets lead to the ANY_STATE node', t => {
+  const fsm = new FSM();
+  fsm.addTransition(EMPTY, {nextState: states.FINISHED});
+  fsm.addTransition(EMPTY, {transitionFn: () => states.FINISHED});
+  t.deepEqual(edgeSummary(toGraph(fsm)), [
+    [EMPTY, states.FINISHED, 0, EDGE_KINDS.next, 0],
+    [EMPTY, ANY_STATE, 1, EDGE_KINDS.dynamic, 0],
+    [EMPTY, ERROR, 1, EDGE_KINDS.error, 0]
+  ]);
+  t.regex(toDOT(fsm), /s0 \[label="EMPTY", style=dashed\];/);
+});
+
+test('transition log overlay counts visits', async t => {
+  const fsm = createFSM(definition);
+  const transitionLog = logTransitions(fsm);
+  await runFSM(fsm, states.FINISHED, 1);
+  const graph = toGraph(fsm, {transitionLog});
+  t.deepEqual(graph.finalStates, [states.FINISHED], "final states taken from the FSM's definition");
+  t.deepEqual(edgeSummary(graph).filter(([_from, _to, _index, _kind, visits]) => visits > 0), [
+    [states.PRE_REQUEST, states.POST_REQUEST, 0, EDGE_KINDS.next, 3],
+    [states.POST_REQUEST, states.PRE_REQUEST, 0, EDGE_KINDS.dynamic, 2],
+    [states.POST_REQUEST, states.FINISHED, 0, EDGE_KINDS.dynamic, 1]
+  ]);
+  t.is(graph.visits.get(states.PRE_REQUEST), 3);
+  t.is(graph.visits.get(states.FINISHED), 1);
+  t.false(graph.visits.has(states.FAILED));
+});
+
+test('log entries matching no edge are added as observed edges', t => {
+  const fsm = new FSM(states.PRE_REQUEST);
+  fsm.addTransition(states.PRE_REQUEST, {transitionFn: () => states.FINISHED});
+  const graph = toGraph(fsm, {transitionLog: [{from: states.PRE_REQUEST, to: states.FINISHED}]});
+  t.deepEqual(edgeSummary(graph).slice(-1), [[states.PRE_REQUEST, states.FINISHED, null, EDGE_KINDS.observed, 1]]);
+});
+
+test('toDOT renders states, edge styles and the overlay', async t => {
+  const fsm = createFSM(definition);
+  const transitionLog = logTransitions(fsm);
+  await runFSM(fsm, states.FINISHED, 3);
+  t.is(toDOT(fsm, {transitionLog}), [
+    'digraph FSM {',
+    '    __start [shape=point];',
+    '    s0 [label="PRE_REQUEST (1x)", penwidth=2];',
+    '    s1 [label="POST_REQUEST (1x)", penwidth=2];',
+    '    s2 [label="FAILED"];',
+    '    s3 [label="FINISHED (1x)", shape=doublecircle, penwidth=2];',
+    '    s4 [label="ERROR", shape=octagon, color=red];',
+    '    __start -> s0;',
+    '    s0 -> s1 [label="#0 makeRequest (1x)", penwidth=2, color=blue];',
+    '    s0 -> s2 [label="#0 error", color=red];',
+    '    s1 -> s0 [label="#0 parseResponse", style=dashed];',
+    '    s1 -> s3 [label="#0 parseResponse (1x)", style=dashed, penwidth=2, color=blue];',
+    '    s1 -> s4 [label="#0 error", color=red];',
+    '    s2 -> s3 [label="#0"];',
+    '}',
+    ''
+  ].join("\n"));
+});
+
+test('toMermaid renders a stateDiagram', t => {
+  t.is(toMermaid(definition), [
+    'stateDiagram-v2',
+    '    state "PRE_REQUEST" as s0',
+    '    state "POST_REQUEST" as s1',
+    '    state "FAILED" as s2',
+    '    state "FINISHED" as s3',
+    '    state "ERROR" as s4',
+    '    [*] --> s0',
+    '    s0 --> s1 : #0 makeRequest',
+    '    s0 --> s2 : #0 error',
+    '    s1 --> s0 : #0 parseResponse (dynamic)',
+    '    s1 --> s3 : #0 parseResponse (dynamic)',
+    '    s1 --> s4 : #0 error',
+    '    s2 --> s3 : #0',
+    '    s3 --> [*]',
+    '    classDef error fill:#f88,stroke:#c00',
+    '    classDef empty stroke-dasharray:5 5',
+    '    classDef visited stroke:#00f,stroke-width:3px',
+    '    class s4 error',
+    ''
+  ].join("\n"));
+});
@@ -0,0 +1,124 @@
+const test = require('ava');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {FSM, FSMError, ERROR, runFSM, makeStates, stopLogging} = require('../lib/fsm.js');
+const {makeLogCodec} = require('../lib/logformat.js');
+const {MemoryJournal, FileJournal, journalTransitions, resumeFSM} = require('../lib/journal.js');
+
+const states = makeStates("START", "PAGE", "FINISHED");
+
+// reads pages until lastPage, failing (once) when it reaches crashAt
+const makePagerFSM = (lastPage, crashAt) => {
+  const fsm = new FSM(states.START);
+  fsm.addTransition(states.START, {nextState: states.PAGE, transitionFn: () => [1, []]});
+  fsm.addTransition(states.PAGE, {transitionFn: (page, acc) => {
+    if (page === crashAt) {
+      throw new Error("process died");
+    }
+    const data = acc.concat([`page${page}`]);
+    return page >= lastPage ? [states.FINISHED, data] : [states.PAGE, page + 1, data];
+  }});
+  return fsm;
+};
+
+const tmpFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'replay-fsm-')), 'journal.ndjson');
+
+test('MemoryJournal records transitions and resumeFSM continues from the last entry', async t => {
+  const crashed = makePagerFSM(4, 3);
+  const journal = journalTransitions(crashed, new MemoryJournal());
+  // emulate a crash mid-run by stopping at ERROR
+  const [state] = await runFSM(crashed, states.FINISHED);
+  t.is(state, ERROR);
+  // drop the failed transition, as if the process died during it
+  journal.entries.pop();
+  const resumed = makePagerFSM(4);
+  const resumedLog = journalTransitions(resumed, new MemoryJournal());
+  t.deepEqual(await resumeFSM(resumed, journal, states.FINISHED), [states.FINISHED, ["page1", "page2", "page3", "page4"]]);
+  t.deepEqual(resumedLog.entries.map(e => e.input[0]), [3, 4]);
+});
+
+test('resumeFSM runs from the start with the given arguments when the journal is empty', async t => {
+  const fsm = new FSM(states.START);
+  fsm.addTransition(states.START, {nextState: states.FINISHED, transitionFn: x => [x * 2]});
+  t.deepEqual(await resumeFSM(fsm, new MemoryJournal(), states.FINISHED, 21), [states.FINISHED, 42]);
+});
+
+test('resumeFSM does not advance when the journal ends in a final state', async t => {
+  const fsm = makePagerFSM(2);
+  const journal = journalTransitions(fsm, new MemoryJournal());
+  await runFSM(fsm, states.FINISHED);
+  const fresh = makePagerFSM(2);
+  fresh.on("pretransition", () => t.fail("FSM advanced"));
+  t.deepEqual(await resumeFSM(fresh, journal, states.FINISHED), [states.FINISHED, ["page1", "page2"]]);
+});
+
+test('FileJournal survives a process restart', async t => {
+  const file = tmpFile();
+  const fsm = makePagerFSM(3, 3);
+  journalTransitions(fsm, new FileJournal(file));
+  t.is((await runFSM(fsm, [states.FINISHED, ERROR]))[0], ERROR);
+  const lines = fs.readFileSync(file, 'utf8').trim().split("\n");
+  t.deepEqual(JSON.parse(lines[0]), {version: 1});
+  t.is(lines.length, 5, "header + 4 transitions");
+  // drop the ERROR record, as if the process died during the failing transition
+  fs.writeFileSync(file, lines.slice(0, 4).join("\n") + "\n");
+  const resumed = makePagerFSM(3);
+  const journal = journalTransitions(resumed, new FileJournal(file));
+  t.deepEqual(await resumeFSM(resumed, journal, states.FINISHED), [states.FINISHED, ["page1", "page2", "page3"]]);
+  const entries = await new FileJournal(file).read();
+  t.deepEqual(entries.map(e => e.to), [states.PAGE, states.PAGE, states.PAGE, states.FINISHED]);
+});
+
+test('FileJournal skips a partially written trailing record', async t => {
+  const file = tmpFile();
+  const fsm = makePagerFSM(5);
+  journalTransitions(fsm, new FileJournal(file, {fsync: false}));
+  await fsm.advance();
+  await fsm.advance(1, []);
+  const contents = fs.readFileSync(file, 'utf8');
+  fs.appendFileSync(file, contents.trim().split("\n")[2].slice(0, 25));
+  const journal = new FileJournal(file);
+  const entries = await journal.read();
+  t.is(entries.length, 2);
+  t.is(journal.skippedRecords, 1);
+  // resuming repairs the tail before appending new records
+  const resumed = makePagerFSM(3);
+  journalTransitions(resumed, journal);
+  t.deepEqual(await resumeFSM(resumed, journal, states.FINISHED), [states.FINISHED, ["page1", "page2", "page3"]]);
+  t.is((await journal.read()).length, 4);
+  t.is(journal.skippedRecords, 0);
+});
+
+test('FileJournal rejects corrupt records followed by valid ones', async t => {
+  const file = tmpFile();
+  const codec = makeLogCodec();
+  fs.writeFileSync(file, [
+    JSON.stringify({version: 1}),
+    "{\"time\": garbage",
+    codec.stringifyLine({from: states.START, to: states.PAGE, input: [], output: [1, []]})
+  ].join("\n") + "\n");
+  await t.throwsAsync(() => new FileJournal(file).read(), {instanceOf: FSMError, message: /corrupt journal record .* at line 2/});
+});
+
+test('FileJournal decodes Symbol states with the given codec', async t => {
+  const symbolStates = makeStates(Symbol("A"), Symbol("B"));
+  const file = tmpFile();
+  const fsm = new FSM(symbolStates.A);
+  fsm.addTransition(symbolStates.A, {nextState: symbolStates.B, transitionFn: () => [new Date(0)]});
+  const codec = makeLogCodec({states: symbolStates, fsm});
+  journalTransitions(fsm, new FileJournal(file, {codec}));
+  await fsm.advance();
+  const [entry] = await new FileJournal(file, {codec}).read();
+  t.is(entry.to, symbolStates.B);
+  t.is(entry.output[0].getTime(), 0);
+});
+
+test('stopLogging stops a journal', async t => {
+  const fsm = makePagerFSM(5);
+  const journal = journalTransitions(fsm, new MemoryJournal());
+  const [, ...output] = await fsm.advance();
+  stopLogging(fsm, journal);
+  await fsm.advance(...output);
+  t.is((await journal.read()).length, 1);
+});
@@ -0,0 +1,111 @@
+const test = require('ava');
+const {FSM, FSMError, ERROR, EMPTY, runFSM, replayFSM, makeStates, logTransitions} = require('../lib/fsm.js');
+const {LOG_FORMAT_VERSION, makeLogCodec} = require('../lib/logformat.js');
+
+const makeCounterFSM = (states, max) => {
+  const fsm = new FSM(states.START);
+  fsm.addTransition(states.START, {nextState: states.COUNTING, transitionFn: x => [x]});
+  fsm.addTransition(states.COUNTING, {transitionFn: x => x >= max ? [states.DONE, x] : [states.COUNTING, x + 1]});
+  return fsm;
+};
+
+test('values round-trip through the codec', t => {
+  const states = makeStates(Symbol("A"), "B");
+  const codec = makeLogCodec({states});
+  const date = new Date(1600000000000);
+  const value = [states.A, states.B, EMPTY, ERROR, date, undefined, null, {nested: [1, "two", {x: date}]}];
+  const decoded = codec.decodeValue(JSON.parse(JSON.stringify(codec.encodeValue(value))));
+  t.is(decoded[0], states.A);
+  t.is(decoded[1], states.B);
+  t.is(decoded[2], EMPTY);
+  t.is(decoded[3], ERROR);
+  t.true(decoded[4] instanceof Date);
+  t.is(decoded[4].getTime(), date.getTime());
+  t.is(decoded[5], undefined);
+  t.is(decoded[6], null);
+  t.is(decoded[7].nested[2].x.getTime(), date.getTime());
+});
+
+test('errors keep their name, message and stack', t => {
+  const codec = makeLogCodec();
+  const error = new TypeError("bad type");
+  const decoded = codec.decodeValue(JSON.parse(JSON.stringify(codec.encodeValue(error))));
+  t.true(decoded instanceof TypeError);
+  t.is(decoded.name, "TypeError");
+  t.is(decoded.message, "bad type");
+  t.is(decoded.stack, error.stack);
+  const custom = new Error("custom");
+  custom.name = "HTTPError";
+  t.is(codec.decodeValue(codec.encodeValue(custom)).name, "HTTPError");
+});
+
+test('plain objects with a $type key are escaped', t => {
+  const codec = makeLogCodec();
+  const value = {$type: "Date", value: "not a date"};
+  t.deepEqual(codec.decodeValue(JSON.parse(JSON.stringify(codec.encodeValue(value)))), value);
+});
+
+test('unregistered symbols cannot be encoded', t => {
+  const codec = makeLogCodec();
+  t.throws(() => codec.encodeValue(Symbol("UNKNOWN")), {instanceOf: FSMError, message: "cannot encode unregistered symbol UNKNOWN"});
+});
+
+test('custom types can be registered', t => {
+  class Point {
+    constructor(x, y) {
+      this.x = x;
+      this.y = y;
+    }
+  }
+  const codec = makeLogCodec({types: [{
+    name: "Point",
+    test: v => v instanceof Point,
+    encode: p => [p.x, p.y],
+    decode: ([x, y]) => new Point(x, y)}]});
+  codec.registerType({name: "Buffer", test: v => Buffer.isBuffer(v), encode: b => b.toString('base64'), decode: s => Buffer.from(s, 'base64')});
+  const [point, buffer] = codec.decodeValue(JSON.parse(JSON.stringify(codec.encodeValue([new Point(1, 2), Buffer.from("hi")]))));
+  t.true(point instanceof Point);
+  t.deepEqual([point.x, point.y], [1, 2]);
+  t.is(buffer.toString(), "hi");
+  t.throws(() => codec.registerType({name: "Date", test: () => false, encode: x => x, decode: x => x}), {instanceOf: FSMError});
+});
+
+test('unsupported format versions are rejected', t => {
+  const codec = makeLogCodec();
+  t.throws(() => codec.parse(JSON.stringify({version: LOG_FORMAT_VERSION + 1, entries: []})), {instanceOf: FSMError});
+});
+
+test('JSON log of a run ending in ERROR can drive replayFSM', async t => {
+  const states = makeStates(Symbol("START"), Symbol("FETCH"), Symbol("DONE"));
+  const fsm = new FSM(states.START);
+  fsm.addTransition(states.START, {nextState: states.FETCH, transitionFn: x => x});
+  fsm.addTransition(states.FETCH, {transitionFn: () => {throw new Error("network down");}});
+  const transitionLog = logTransitions(fsm);
+  const [state, error] = await runFSM(fsm, states.DONE, 1);
+  t.is(state, ERROR);
+  const decoded = makeLogCodec({states, fsm}).parse(makeLogCodec({states, fsm}).stringify(transitionLog));
+  t.is(decoded.length, 2);
+  t.is(decoded[1].to, ERROR);
+  t.is(decoded[1].output[0].message, "network down");
+  t.is(decoded[1].transition, fsm.validTransitions[states.FETCH][0], "transition resolved by index");
+  t.true(decoded[0].time instanceof Date);
+  // a fixed machine picks up from the last arrival at FETCH
+  const fixed = new FSM(states.START);
+  fixed.addTransition(states.FETCH, {nextState: states.DONE, transitionFn: x => x * 10});
+  t.deepEqual(await replayFSM(fixed, states.FETCH, states.DONE, decoded), [states.DONE, 10]);
+});
+
+test('NDJSON log written by one machine drives replayFSM in another', async t => {
+  const states = makeStates("START", "COUNTING", "DONE");
+  const fsm = makeCounterFSM(states, 3);
+  const transitionLog = logTransitions(fsm);
+  await runFSM(fsm, states.DONE, 0);
+  const ndjson = makeLogCodec({states}).stringifyNDJSON(transitionLog);
+  const lines = ndjson.trim().split("\n");
+  t.is(lines.length, transitionLog.length + 1);
+  t.deepEqual(JSON.parse(lines[0]), {version: LOG_FORMAT_VERSION});
+  const decoded = makeLogCodec({states}).parseNDJSON(ndjson);
+  t.deepEqual(decoded.map(e => e.output), transitionLog.map(e => e.output));
+  t.is(decoded[0].transition.nextState, states.COUNTING);
+  t.deepEqual(await replayFSM(makeCounterFSM(states, 5), states.COUNTING, states.DONE, decoded), [states.DONE, 5]);
+});
@@ -0,0 +1,136 @@
+const test = require('ava');
+const {FSM, FSMError, MailboxFullError, AdvanceDroppedError, makeStates, runFSM} = require('../lib/fsm.js');
+const {ManualClock} = require('../lib/clock.js');
+
+const states = makeStates("IDLE", "BUSY", "DONE");
+
+// counts its inputs, each transition waits until release() is called
+const makeCounterFSM = options => {
+  const fsm = new FSM(states.IDLE, options);
+  const waiting = [];
+  fsm.release = () => waiting.shift()();
+  fsm.addTransition(states.IDLE, {nextState: states.IDLE, transitionFn: (count, n) => new Promise(resolve => {
+    waiting.push(() => resolve([count + n]));
+  })});
+  return fsm;
+};
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('without mailbox, concurrent advance() calls throw', async t => {
+  const fsm = makeCounterFSM();
+  const first = fsm.advance(0, 1);
+  await t.throwsAsync(fsm.advance(1, 1), {instanceOf: FSMError, message: "cannot advance while in transition"});
+  await settle();
+  fsm.release();
+  t.deepEqual(await first, [states.IDLE, 1]);
+});
+
+test('mailbox mode queues concurrent advance() calls in order', async t => {
+  const fsm = makeCounterFSM({mailbox: true});
+  const inputs = [];
+  fsm.on("pretransition", ({input}) => inputs.push(input[1]));
+  const results = [1, 2, 3].map(n => fsm.advance(0, n));
+  t.is(fsm.queued, 2);
+  for (let i = 0; i < 3; i++) {
+    await settle();
+    fsm.release();
+  }
+  t.deepEqual(await Promise.all(results), [[states.IDLE, 1], [states.IDLE, 2], [states.IDLE, 3]]);
+  t.deepEqual(inputs, [1, 2, 3]);
+  t.is(fsm.queued, 0);
+});
+
+test('failures only reject their own advance() call', async t => {
+  const fsm = new FSM(states.IDLE, {mailbox: true});
+  fsm.addTransition(states.IDLE, {transitionFn: n => n > 0 ? [states.IDLE, n] : false});
+  const [failed, succeeded] = [fsm.advance(0), fsm.advance(1)];
+  await t.throwsAsync(failed, {instanceOf: FSMError, message: "No valid transition from state IDLE"});
+  t.deepEqual(await succeeded, [states.IDLE, 1]);
+});
+
+test('reject policy fails calls beyond the limit', async t => {
+  const fsm = makeCounterFSM({mailbox: {limit: 1}});
+  const results = [fsm.advance(0, 1), fsm.advance(0, 2)];
+  const error = await t.throwsAsync(fsm.advance(0, 3), {instanceOf: MailboxFullError});
+  t.is(error.limit, 1);
+  await settle();
+  fsm.release();
+  await settle();
+  fsm.release();
+  t.deepEqual(await Promise.all(results), [[states.IDLE, 1], [states.IDLE, 2]]);
+});
+
+test('drop policy fails the oldest queued call', async t => {
+  const fsm = makeCounterFSM({mailbox: {limit: 1, overflow: "drop"}});
+  const running = fsm.advance(0, 1);
+  const dropped = fsm.advance(0, 2);
+  const kept = fsm.advance(0, 3);
+  const error = await t.throwsAsync(dropped, {instanceOf: AdvanceDroppedError});
+  t.is(error.reason, "overflow");
+  t.deepEqual(error.input, [0, 2]);
+  await settle();
+  fsm.release();
+  await settle();
+  fsm.release();
+  t.deepEqual(await running, [states.IDLE, 1]);
+  t.deepEqual(await kept, [states.IDLE, 3]);
+});
+
+test('drain() waits for the queue, clearQueue() drops it', async t => {
+  const fsm = makeCounterFSM({mailbox: true});
+  await fsm.drain();
+  const running = fsm.advance(0, 1);
+  const queued = [fsm.advance(0, 2), fsm.advance(0, 3)];
+  let drained = false;
+  const draining = fsm.drain().then(() => {
+    drained = true;
+  });
+  t.is(fsm.clearQueue(), 2);
+  for (const result of queued) {
+    t.is((await t.throwsAsync(result, {instanceOf: AdvanceDroppedError})).reason, "cleared");
+  }
+  t.false(drained);
+  await settle();
+  fsm.release();
+  await draining;
+  t.deepEqual(await running, [states.IDLE, 1]);
+  t.false(fsm.inTransition);
+});
+
+test('mailbox options are validated', t => {
+  t.throws(() => new FSM(states.IDLE, {mailbox: {limit: -1}}), {instanceOf: FSMError});
+  t.throws(() => new FSM(states.IDLE, {mailbox: {overflow: "ignore"}}), {instanceOf: FSMError});
+});
+
+test('queued advance() calls wait for the step of a run in progress', async t => {
+  const fsm = new FSM(states.IDLE, {mailbox: true});
+  let release;
+  fsm.addTransition(states.IDLE, {transitionFn: message => message === "start" && new Promise(resolve => {
+    release = () => resolve([states.BUSY, "started"]);
+  })});
+  fsm.addTransition(states.BUSY, {transitionFn: message => message === "stop" ? [states.DONE, "stopped"] : [states.BUSY, message]});
+  const run = runFSM(fsm, [states.BUSY, states.DONE], "start");
+  await settle();
+  t.true(fsm.inTransition);
+  const advanced = fsm.advance("stop");
+  release();
+  t.deepEqual(await run, [states.BUSY, "started"]);
+  t.deepEqual(await advanced, [states.DONE, "stopped"]);
+});
+
+test('queued advance() calls wait for a timed transition in progress', async t => {
+  const clock = new ManualClock();
+  const fsm = new FSM(states.IDLE, {mailbox: true, idleTimers: true, clock});
+  let release;
+  fsm.addTransition(states.IDLE, {nextState: states.BUSY, after: 100, transitionFn: () => new Promise(resolve => {
+    release = () => resolve(["timed out"]);
+  })});
+  fsm.addTransition(states.BUSY, {nextState: states.IDLE, transitionFn: message => [message]});
+  await clock.advance(100);
+  t.true(fsm.inTransition);
+  const advanced = fsm.advance("reset");
+  release();
+  t.deepEqual(await advanced, [states.IDLE, "reset"]);
+  t.is(fsm.transitionCount, 2);
+});
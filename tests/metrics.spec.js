@@ -0,0 +1,135 @@
+const test = require('ava');
+const {FSM, ERROR, EVENTS, makeStates, logTransitions, runFSM} = require('../lib/fsm.js');
+const {ManualClock} = require('../lib/clock.js');
+const {makeLogCodec} = require('../lib/logformat.js');
+const {SPAN_STATUS, Tracer, InMemorySpanExporter, MetricsRegistry, formatPrometheus, instrumentFSM} = require('../lib/metrics.js');
+
+const states = makeStates("START", "FETCH", "DONE");
+
+// transitionFns move the manual clock forward to simulate work
+const makeFSM = (clock, fetch) => {
+  const fsm = new FSM(states.START, {clock});
+  fsm.addTransition(states.START, {nextState: states.FETCH, transitionFn: url => {
+    clock.time += 5;
+    return [url];
+  }});
+  fsm.addTransition(states.FETCH, {nextState: states.DONE, transitionFn: url => {
+    clock.time += 20;
+    return fetch(url);
+  }});
+  return fsm;
+};
+
+test('entries and run events carry timing according to the clock', async t => {
+  const clock = new ManualClock(1000);
+  const fsm = makeFSM(clock, url => [url.length]);
+  fsm.on(EVENTS.pretransition, () => {
+    clock.time += 1;
+  });
+  const runs = [];
+  fsm.on(EVENTS.runend, data => runs.push(data));
+  const transitionLog = logTransitions(fsm);
+  await runFSM(fsm, states.DONE, "url");
+  t.deepEqual(transitionLog.map(({timing}) => timing), [
+    {startTime: 1000, endTime: 1006, duration: 6, handlerDuration: 1},
+    {startTime: 1006, endTime: 1027, duration: 21, handlerDuration: 1}
+  ]);
+  t.deepEqual(runs, [{state: states.DONE, output: [3], error: undefined, steps: 2, startTime: 1000, endTime: 1027, duration: 27}]);
+  const codec = makeLogCodec();
+  t.deepEqual(codec.parseNDJSON(codec.stringifyNDJSON(transitionLog)).map(({timing}) => timing),
+    transitionLog.map(({timing}) => timing));
+});
+
+test('tracer records a run span with a child span per transition', async t => {
+  const clock = new ManualClock();
+  const exporter = new InMemorySpanExporter();
+  const fsm = makeFSM(clock, url => [url]);
+  instrumentFSM(fsm, {tracer: new Tracer(exporter), name: "reader"});
+  await runFSM(fsm, states.DONE, "url");
+  const spans = exporter.getFinishedSpans();
+  t.deepEqual(spans.map(({name, startTime, endTime}) => [name, startTime, endTime]), [
+    ["reader transition", 0, 5],
+    ["reader transition", 5, 25],
+    ["reader run", 0, 25]
+  ]);
+  const [first, second, run] = spans;
+  t.is(run.parentSpanId, undefined);
+  t.true([first, second].every(span => span.traceId === run.traceId && span.parentSpanId === run.spanId));
+  t.like(second.attributes, {"fsm.from": "FETCH", "fsm.to": "DONE", "fsm.transition.index": 0, "fsm.attempts": 1});
+  t.like(run.attributes, {"fsm.initial_state": "START", "fsm.final_state": "DONE", "fsm.steps": 2});
+  t.is(run.status.code, SPAN_STATUS.unset);
+  exporter.reset();
+  t.deepEqual(exporter.getFinishedSpans(), []);
+});
+
+test('failed transitions and runs are recorded with error status', async t => {
+  const clock = new ManualClock();
+  const exporter = new InMemorySpanExporter();
+  const fsm = makeFSM(clock, () => {
+    throw new Error("unavailable");
+  });
+  fsm.on(EVENTS.posttransition, ({to}) => {
+    if (to === ERROR) {
+      throw new Error("handler failed");
+    }
+  });
+  instrumentFSM(fsm, {tracer: new Tracer(exporter)});
+  await t.throwsAsync(runFSM(fsm, states.DONE, "url"), {message: "handler failed"});
+  const [, failed, run] = exporter.getFinishedSpans();
+  t.deepEqual(failed.status, {code: SPAN_STATUS.error, message: "unavailable"});
+  t.like(failed.events[failed.events.length - 1], {name: "exception", attributes: {"exception.message": "unavailable"}});
+  t.is(failed.attributes["fsm.to"], "ERROR");
+  t.deepEqual(run.status, {code: SPAN_STATUS.error, message: "handler failed"});
+});
+
+test('metrics count edges, errors and runs in the prometheus text format', async t => {
+  const clock = new ManualClock();
+  const metrics = new MetricsRegistry();
+  const responses = [["ok"], new Error("unavailable")];
+  const fsm = makeFSM(clock, () => {
+    const response = responses.shift();
+    if (response instanceof Error) {
+      throw response;
+    }
+    return response;
+  });
+  const stop = instrumentFSM(fsm, {metrics, name: "reader"});
+  await runFSM(fsm, states.DONE, "url");
+  fsm.currentState = states.START;
+  await runFSM(fsm, states.DONE, "url");
+  t.deepEqual(metrics.get("fsm_transitions_total", {from: "START"}).map(({count, sum}) => [count, sum]), [[2, 0]]);
+  t.is(formatPrometheus(metrics), [
+    '# HELP fsm_transitions_total Transitions by edge.',
+    '# TYPE fsm_transitions_total counter',
+    'fsm_transitions_total{fsm="reader",from="START",to="FETCH"} 2',
+    'fsm_transitions_total{fsm="reader",from="FETCH",to="DONE"} 1',
+    'fsm_transitions_total{fsm="reader",from="FETCH",to="ERROR"} 1',
+    '# HELP fsm_transition_duration_ms Duration of transitions by edge.',
+    '# TYPE fsm_transition_duration_ms summary',
+    'fsm_transition_duration_ms_sum{fsm="reader",from="START",to="FETCH"} 10',
+    'fsm_transition_duration_ms_count{fsm="reader",from="START",to="FETCH"} 2',
+    'fsm_transition_duration_ms_sum{fsm="reader",from="FETCH",to="DONE"} 20',
+    'fsm_transition_duration_ms_count{fsm="reader",from="FETCH",to="DONE"} 1',
+    'fsm_transition_duration_ms_sum{fsm="reader",from="FETCH",to="ERROR"} 20',
+    'fsm_transition_duration_ms_count{fsm="reader",from="FETCH",to="ERROR"} 1',
+    '# HELP fsm_transition_errors_total Failed transitions by error state.',
+    '# TYPE fsm_transition_errors_total counter',
+    'fsm_transition_errors_total{fsm="reader",from="FETCH",state="ERROR"} 1',
+    '# HELP fsm_runs_total Runs by the state they ended in.',
+    '# TYPE fsm_runs_total counter',
+    'fsm_runs_total{fsm="reader",state="DONE"} 1',
+    'fsm_runs_total{fsm="reader",state="ERROR"} 1',
+    '# HELP fsm_run_duration_ms Duration of runs by the state they ended in.',
+    '# TYPE fsm_run_duration_ms summary',
+    'fsm_run_duration_ms_sum{fsm="reader",state="DONE"} 25',
+    'fsm_run_duration_ms_count{fsm="reader",state="DONE"} 1',
+    'fsm_run_duration_ms_sum{fsm="reader",state="ERROR"} 25',
+    'fsm_run_duration_ms_count{fsm="reader",state="ERROR"} 1',
+    ''
+  ].join("\n"));
+  stop();
+  fsm.currentState = states.START;
+  responses.push(["again"]);
+  await runFSM(fsm, states.DONE, "url");
+  t.is(metrics.get("fsm_runs_total").reduce((acc, {count}) => acc + count, 0), 2);
+});
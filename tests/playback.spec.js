@@ -0,0 +1,126 @@
+const test = require('ava');
+const {FSM, FSMError, ERROR, runFSM, makeStates, logTransitions} = require('../lib/fsm.js');
+const {makeLogCodec} = require('../lib/logformat.js');
+const {diffValues, playRecording, stopPlayback} = require('../lib/playback.js');
+
+const states = makeStates("FETCH", "FINISHED");
+
+// reads pages through api, which counts its calls
+const makeReaderFSM = (api) => {
+  const fsm = new FSM(states.FETCH);
+  fsm.addTransition(states.FETCH, {transitionFn: async (page, acc) => {
+    const {items, next} = await api.get(page);
+    const data = acc.concat(items);
+    return next ? [states.FETCH, next, data] : [states.FINISHED, data];
+  }});
+  return fsm;
+};
+
+const makeApi = (pages, failAt) => ({
+  calls: 0,
+  async get(page) {
+    this.calls++;
+    if (page === failAt) {
+      throw new Error(`HTTP 500 on page ${page}`);
+    }
+    return {items: pages[page - 1], next: page < pages.length ? page + 1 : null};
+  }
+});
+
+const recordRun = async (api) => {
+  const fsm = makeReaderFSM(api);
+  const transitionLog = logTransitions(fsm);
+  const result = await runFSM(fsm, states.FINISHED, 1, []);
+  return [result, transitionLog];
+};
+
+test('diffValues reports structural differences with their paths', t => {
+  t.deepEqual(diffValues({a: [1, 2], b: "x"}, {a: [1, 2], b: "x"}), []);
+  t.deepEqual(diffValues({a: [1, 2], b: "x"}, {a: [1, 3], c: true}), [
+    {path: ["a", 1], expected: 2, actual: 3},
+    {path: ["b"], expected: "x", actual: undefined},
+    {path: ["c"], expected: undefined, actual: true}
+  ]);
+  t.deepEqual(diffValues([1], [1, 2]), [{path: [], expected: [1], actual: [1, 2]}]);
+  t.deepEqual(diffValues(new Error("boom"), new Error("boom")), []);
+  t.deepEqual(diffValues(new Date(5), new Date(5)), []);
+  t.is(diffValues(new Date(5), new Date(6)).length, 1);
+});
+
+test('playback reproduces a run without calling transitionFns', async t => {
+  const [result, transitionLog] = await recordRun(makeApi([["a"], ["b"], ["c"]]));
+  const api = makeApi([]);
+  const fsm = makeReaderFSM(api);
+  const replayLog = logTransitions(fsm);
+  const playback = playRecording(fsm, transitionLog);
+  t.deepEqual(await runFSM(fsm, states.FINISHED, ...playback.input), result);
+  t.is(api.calls, 0, "no live calls");
+  t.is(playback.remaining, 0);
+  t.deepEqual(replayLog.map(e => e.output), transitionLog.map(e => e.output));
+});
+
+test('playback reproduces a failed run from a decoded log', async t => {
+  const fsm = makeReaderFSM(makeApi([["a"], ["b"], ["c"]], 2));
+  const transitionLog = logTransitions(fsm);
+  const [state, error] = await runFSM(fsm, states.FINISHED, 1, []);
+  t.is(state, ERROR);
+  const codec = makeLogCodec();
+  const decoded = codec.parse(codec.stringify(transitionLog));
+  const offline = makeReaderFSM(makeApi([]));
+  const playback = playRecording(offline, decoded);
+  const [replayedState, replayedError] = await runFSM(offline, states.FINISHED, ...playback.input);
+  t.is(replayedState, ERROR);
+  t.is(replayedError.message, error.message);
+});
+
+test('verify mode reports divergences between recording and live run', async t => {
+  const [_result, transitionLog] = await recordRun(makeApi([["a"], ["b"]]));
+  const api = makeApi([["a"], ["B"], ["c"]]);
+  const fsm = makeReaderFSM(api);
+  const events = [];
+  fsm.on("divergence", divergence => events.push(divergence));
+  const playback = playRecording(fsm, transitionLog, {verify: true});
+  const result = await runFSM(fsm, states.FINISHED, ...playback.input);
+  t.deepEqual(result, [states.FINISHED, ["a", "b"]], "recorded outcome is used");
+  t.is(api.calls, 2);
+  t.is(playback.divergences.length, 1);
+  t.is(events[0], playback.divergences[0]);
+  const {index, from, expected, actual, differences} = playback.divergences[0];
+  t.is(index, 1);
+  t.is(from, states.FETCH);
+  t.deepEqual(expected, {to: states.FINISHED, output: [["a", "b"]]});
+  t.deepEqual(actual, {to: states.FETCH, output: [3, ["a", "B"]]});
+  t.deepEqual(differences.map(d => d.path), [["to"], ["output"]]);
+});
+
+test('verify mode reports live errors as divergences', async t => {
+  const [_result, transitionLog] = await recordRun(makeApi([["a"]]));
+  const fsm = new FSM(states.FETCH);
+  const playback = playRecording(fsm, transitionLog, {verify: true});
+  await runFSM(fsm, states.FINISHED, ...playback.input);
+  t.true(playback.divergences[0].actual.error instanceof FSMError);
+});
+
+test('advancing past the end of the recording throws unless live mode is on', async t => {
+  const [_result, transitionLog] = await recordRun(makeApi([["a"], ["b"], ["c"]]));
+  const partial = transitionLog.slice(0, 2);
+  let fsm = makeReaderFSM(makeApi([["a"], ["b"], ["c"]]));
+  let playback = playRecording(fsm, partial);
+  await t.throwsAsync(runFSM(fsm, states.FINISHED, ...playback.input), {instanceOf: FSMError, message: "recording exhausted in state FETCH"});
+  const api = makeApi([["a"], ["b"], ["c"]]);
+  fsm = makeReaderFSM(api);
+  playback = playRecording(fsm, partial, {live: true});
+  t.deepEqual(await runFSM(fsm, states.FINISHED, ...playback.input), [states.FINISHED, ["a", "b", "c"]]);
+  t.is(api.calls, 1, "only the last page is fetched live");
+  t.is(fsm.playback, undefined);
+});
+
+test('playback rejects recordings which do not match the FSM state', async t => {
+  const [_result, transitionLog] = await recordRun(makeApi([["a"], ["b"]]));
+  const fsm = makeReaderFSM(makeApi([]));
+  const playback = playRecording(fsm, transitionLog);
+  fsm.currentState = states.FINISHED;
+  await t.throwsAsync(fsm.advance(...playback.input), {instanceOf: FSMError, message: "recording expected state FETCH, FSM is in state FINISHED"});
+  stopPlayback(fsm);
+  t.is(fsm.playback, undefined);
+});
@@ -0,0 +1,166 @@
+const test = require('ava');
+const http = require('http');
+const {ERROR, FSMAbortError, logTransitions, runFSM, startFSM} = require('../lib/fsm.js');
+const {ManualClock} = require('../lib/clock.js');
+const {
+  READER_STATES, READER_FINAL_STATES, HTTPStatusError, parseLinks, linkHeaderCursor, bodyCursor, offsetCursor,
+  retryAfterDelay, makeReaderFSM, resumeReader
+} = require('../lib/reader.js');
+
+const ITEMS = ["a", "b", "c", "d", "e"];
+
+/* stub API serving ITEMS two at a time:
+ *   /link?page=N - Link header pagination, {items}
+ *   /cursor?cursor=N - {items, next: {cursor}}
+ *   /offset?offset=N&limit=M - a plain list
+ * responses lists status codes (and headers) to answer with before serving pages normally.
+ */
+const startServer = async (responses = []) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    requests.push(url.pathname + url.search);
+    const override = responses.shift();
+    if (override) {
+      res.writeHead(override.status, override.headers || {});
+      return res.end(JSON.stringify({error: "unavailable"}));
+    }
+    const json = body => {
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify(body));
+    };
+    if (url.pathname === "/link") {
+      const page = Number(url.searchParams.get("page") || 0);
+      if (page * 2 + 2 < ITEMS.length) {
+        res.setHeader('link', `</link?page=${page - 1}>; rel="prev", </link?page=${page + 1}>; rel="next"`);
+      }
+      return json({items: ITEMS.slice(page * 2, page * 2 + 2)});
+    }
+    if (url.pathname === "/cursor") {
+      const position = Number(url.searchParams.get("cursor") || 0);
+      return json({items: ITEMS.slice(position, position + 2), next: {cursor: position + 2 < ITEMS.length ? position + 2 : null}});
+    }
+    const offset = Number(url.searchParams.get("offset") || 0);
+    return json(ITEMS.slice(offset, offset + Number(url.searchParams.get("limit"))));
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  return {baseUrl, requests, close: () => new Promise(resolve => server.close(resolve))};
+};
+
+test('reads pages following the Link header', async t => {
+  const server = await startServer();
+  try {
+    const fsm = makeReaderFSM({items: data => data.items});
+    t.deepEqual(await runFSM(fsm, READER_FINAL_STATES, {url: `${server.baseUrl}/link`}), [READER_STATES.FINISHED, ITEMS]);
+    t.deepEqual(server.requests, ["/link", "/link?page=1", "/link?page=2"]);
+  } finally {
+    await server.close();
+  }
+});
+
+test('reads pages with body cursors and offsets into a sink', async t => {
+  const server = await startServer();
+  try {
+    const pages = [];
+    const fsm = makeReaderFSM({items: data => data.items, cursor: bodyCursor("next.cursor"), sink: async items => {
+      pages.push(items);
+    }});
+    t.deepEqual(await runFSM(fsm, READER_FINAL_STATES, {url: `${server.baseUrl}/cursor`}), [READER_STATES.FINISHED, 5]);
+    t.deepEqual(pages, [["a", "b"], ["c", "d"], ["e"]]);
+    const offsetFSM = makeReaderFSM({cursor: offsetCursor({limit: 2})});
+    t.deepEqual(await runFSM(offsetFSM, READER_FINAL_STATES, {url: `${server.baseUrl}/offset?limit=2`}),
+      [READER_STATES.FINISHED, ITEMS]);
+    t.deepEqual(server.requests.slice(3), ["/offset?limit=2", "/offset?limit=2&offset=2", "/offset?limit=2&offset=4"]);
+  } finally {
+    await server.close();
+  }
+});
+
+test('rate limited requests are repeated after Retry-After', async t => {
+  const server = await startServer([{status: 429, headers: {'retry-after': "0"}}, {status: 429}]);
+  try {
+    const fsm = makeReaderFSM({items: data => data.items, rateLimitDelay: 1});
+    const transitionLog = logTransitions(fsm);
+    t.deepEqual(await runFSM(fsm, READER_FINAL_STATES, {url: `${server.baseUrl}/link`}), [READER_STATES.FINISHED, ITEMS]);
+    t.deepEqual(transitionLog.filter(({to}) => to === READER_STATES.RATE_LIMITED).map(({output}) => output[3]), [0, 1]);
+    t.deepEqual(server.requests.slice(0, 3), ["/link", "/link", "/link"]);
+  } finally {
+    await server.close();
+  }
+});
+
+test('rate limit delays follow the clock and can be capped', async t => {
+  const clock = new ManualClock();
+  const responses = [{status: 429, headers: {'retry-after': "2"}}, {status: 200, headers: {}, body: "[1]"}];
+  const fsm = makeReaderFSM({clock, cursor: () => undefined, transport: async () => responses.shift()});
+  const run = runFSM(fsm, READER_FINAL_STATES, {url: "http://api/items"});
+  await clock.advance(1999);
+  t.is(fsm.currentState, READER_STATES.RATE_LIMITED);
+  await clock.advance(1);
+  t.deepEqual(await run, [READER_STATES.FINISHED, [1]]);
+  const capped = makeReaderFSM({maxRateLimited: 0, transport: async () => ({status: 429, headers: {}, body: ""})});
+  const [state, error] = await runFSM(capped, READER_FINAL_STATES, {url: "http://api/items"});
+  t.is(state, READER_STATES.HTTP_ERROR);
+  t.is(error.status, 429);
+});
+
+test('aborting a read stops waiting for the rate limit', async t => {
+  const clock = new ManualClock();
+  const fsm = makeReaderFSM({clock, transport: async () => ({status: 429, headers: {'retry-after': "60"}, body: ""})});
+  const run = startFSM(fsm, READER_FINAL_STATES, {}, {url: "http://api/items"});
+  await clock.advance(1000);
+  t.is(fsm.currentState, READER_STATES.RATE_LIMITED);
+  run.abort("stop");
+  const error = await t.throwsAsync(run.result, {instanceOf: FSMAbortError});
+  t.is(error.state, READER_STATES.RATE_LIMITED);
+  t.is(clock.pending(), 0);
+});
+
+test('a failed read resumes from its transition log', async t => {
+  const server = await startServer([undefined, {status: 503}]);
+  try {
+    const fsm = makeReaderFSM({items: data => data.items});
+    const transitionLog = logTransitions(fsm);
+    const [state, error, request, acc] = await runFSM(fsm, READER_FINAL_STATES, {url: `${server.baseUrl}/link`});
+    t.is(state, READER_STATES.HTTP_ERROR);
+    t.true(error instanceof HTTPStatusError);
+    t.is(error.message, `HTTP 503 for ${server.baseUrl}/link?page=1`);
+    t.deepEqual([request.url, acc], [`${server.baseUrl}/link?page=1`, ["a", "b"]]);
+    t.deepEqual(await resumeReader(makeReaderFSM({items: data => data.items}), transitionLog), [READER_STATES.FINISHED, ITEMS]);
+    t.deepEqual(server.requests, ["/link", "/link?page=1", "/link?page=1", "/link?page=2"]);
+  } finally {
+    await server.close();
+  }
+});
+
+test('transport failures end in ERROR and resume', async t => {
+  let fail = true;
+  const transport = async () => {
+    if (fail) {
+      fail = false;
+      throw new Error("connection reset");
+    }
+    return {status: 200, headers: {}, body: '["x"]'};
+  };
+  const fsm = makeReaderFSM({transport, cursor: () => undefined});
+  const transitionLog = logTransitions(fsm);
+  const [state, error] = await runFSM(fsm, READER_FINAL_STATES, {url: "http://api/items"});
+  t.is(state, ERROR);
+  t.is(error.message, "connection reset");
+  t.deepEqual(await resumeReader(fsm, transitionLog), [READER_STATES.FINISHED, ["x"]]);
+  t.throws(() => resumeReader(fsm, []), {message: "transition log has no request to resume the read from"});
+});
+
+test('cursor and header helpers', t => {
+  t.deepEqual(parseLinks('<https://x/?page_info=abc>; rel="previous", <https://x/?page_info=def>; rel="next"'),
+    {previous: "https://x/?page_info=abc", next: "https://x/?page_info=def"});
+  t.deepEqual(parseLinks(undefined), {});
+  const next = linkHeaderCursor()({request: {url: "https://x/items", headers: {a: "b"}}, response: {headers: {link: '</items?page=2>; rel="next"'}}});
+  t.deepEqual(next, {url: "https://x/items?page=2", headers: {a: "b"}});
+  t.is(bodyCursor(data => data.cursor)({request: {url: "https://x/"}, data: {cursor: ""}}), undefined);
+  t.is(retryAfterDelay("3", 0), 3000);
+  t.is(retryAfterDelay(new Date(5000).toUTCString(), 1000), 4000);
+  t.is(retryAfterDelay("soon", 0), undefined);
+  t.throws(() => offsetCursor({}), {message: "offsetCursor limit must be at least 1"});
+});
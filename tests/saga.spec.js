@@ -0,0 +1,108 @@
+const test = require('ava');
+const {FSM, ERROR, makeStates, logTransitions, runFSM} = require('../lib/fsm.js');
+const {makeLogCodec} = require('../lib/logformat.js');
+const {createFSM} = require('../lib/definition.js');
+const {CompensationError, compensate, runSaga} = require('../lib/saga.js');
+
+const states = makeStates("RESERVE", "CHARGE", "SHIP", "DONE", "FAILED");
+
+// books an order against an in-memory store, failing at the step named failAt
+const makeOrderFSM = (store, {failAt, failCompensation = []} = {}) => {
+  const step = (name, nextState) => ({
+    nextState,
+    errorState: states.FAILED,
+    transitionFn: order => {
+      if (name === failAt) {
+        throw new Error(`${name} failed`);
+      }
+      store.push(`${name} ${order}`);
+      return [order, `${name}-id`];
+    },
+    compensate: ([order], [_order, id]) => {
+      if (failCompensation.includes(name)) {
+        throw new Error(`cannot undo ${name}`);
+      }
+      store.push(`undo ${name} ${order} ${id}`);
+    }
+  });
+  const fsm = new FSM(states.RESERVE);
+  fsm.addTransition(states.RESERVE, step("reserve", states.CHARGE));
+  fsm.addTransition(states.CHARGE, step("charge", states.SHIP));
+  fsm.addTransition(states.SHIP, step("ship", states.DONE));
+  return fsm;
+};
+
+test('compensate() undoes completed transitions in reverse order', async t => {
+  const store = [];
+  const fsm = makeOrderFSM(store, {failAt: "ship"});
+  const transitionLog = logTransitions(fsm);
+  t.is((await runFSM(fsm, [states.DONE, states.FAILED], "order1"))[0], states.FAILED);
+  const compensationLog = [];
+  const events = [];
+  fsm.on("compensation", step => events.push(step));
+  const undone = await compensate(fsm, transitionLog, compensationLog);
+  t.deepEqual(undone, [transitionLog[1], transitionLog[0]]);
+  t.deepEqual(store, ["reserve order1", "charge order1", "undo charge order1 charge-id", "undo reserve order1 reserve-id"]);
+  t.deepEqual(compensationLog.map(({entry, error}) => [entry.from, error]), [[states.CHARGE, undefined], [states.RESERVE, undefined]]);
+  t.deepEqual(events, compensationLog);
+  t.true(compensationLog[0].time instanceof Date);
+});
+
+test('failed compensations are aggregated into a CompensationError', async t => {
+  const store = [];
+  const fsm = makeOrderFSM(store, {failAt: "ship", failCompensation: ["charge"]});
+  const transitionLog = logTransitions(fsm);
+  await runFSM(fsm, [states.DONE, states.FAILED], "order2");
+  const error = await t.throwsAsync(compensate(fsm, transitionLog), {instanceOf: CompensationError,
+    message: "1 of 2 compensations failed: cannot undo charge"});
+  t.deepEqual(error.undone.map(entry => entry.from), [states.RESERVE]);
+  t.deepEqual(error.failed.map(({entry, error}) => [entry.from, error.message]), [[states.CHARGE, "cannot undo charge"]]);
+  t.deepEqual(store.slice(-1), ["undo reserve order2 reserve-id"], "later compensations still run");
+});
+
+test('runSaga compensates runs which end in an errorState', async t => {
+  const store = [];
+  const compensationLog = [];
+  const [state, error] = await runSaga(makeOrderFSM(store, {failAt: "charge"}), [states.DONE, states.FAILED],
+    {compensationLog}, "order3");
+  t.is(state, states.FAILED);
+  t.is(error.message, "charge failed");
+  t.deepEqual(store, ["reserve order3", "undo reserve order3 reserve-id"]);
+  t.is(compensationLog.length, 1);
+});
+
+test('runSaga leaves successful runs alone and stops logging', async t => {
+  const store = [];
+  const fsm = makeOrderFSM(store);
+  t.deepEqual(await runSaga(fsm, states.DONE, {}, "order4"), [states.DONE, "order4", "ship-id"]);
+  t.is(store.length, 3);
+  t.deepEqual(fsm.callbacks, {});
+});
+
+test('runSaga compensates runs ending in ERROR', async t => {
+  const undone = [];
+  const fsm = new FSM(states.RESERVE);
+  fsm.addTransition(states.RESERVE, {nextState: states.CHARGE, transitionFn: x => [x], compensate: input => undone.push(input)});
+  fsm.addTransition(states.CHARGE, {nextState: states.DONE, transitionFn: () => Promise.reject(new Error("declined"))});
+  const [state] = await runSaga(fsm, states.DONE, {}, 1);
+  t.is(state, ERROR);
+  t.deepEqual(undone, [[1]]);
+});
+
+test('compensations are found in decoded logs and definitions', async t => {
+  const undone = [];
+  const fsm = createFSM({
+    initialState: states.RESERVE,
+    states: [states.RESERVE, states.CHARGE, states.FAILED],
+    finalStates: [states.CHARGE, states.FAILED],
+    functions: {reserve: x => [x], release: (input, output) => undone.push([input, output])},
+    transitions: {
+      RESERVE: [{nextState: states.CHARGE, errorState: states.FAILED, transitionFn: "reserve", compensate: "release"}]
+    }
+  });
+  const transitionLog = logTransitions(fsm);
+  await runFSM(fsm, states.CHARGE, 7);
+  const codec = makeLogCodec({fsm});
+  await compensate(fsm, codec.parse(codec.stringify(transitionLog)));
+  t.deepEqual(undone, [[[7], [7]]]);
+});
@@ -0,0 +1,101 @@
+const test = require('ava');
+const {FSM, FSMError, ERROR, SNAPSHOT_VERSION, runFSM, makeStates} = require('../lib/fsm.js');
+const {makeLogCodec} = require('../lib/logformat.js');
+const {createFSM} = require('../lib/definition.js');
+
+const states = makeStates(Symbol("START"), Symbol("COUNTING"), Symbol("DONE"), Symbol("ELSEWHERE"));
+
+const definition = max => ({
+  initialState: states.START,
+  states: [states.START, states.COUNTING, states.DONE],
+  finalStates: [states.DONE],
+  transitions: {
+    START: [{nextState: states.COUNTING, transitionFn: x => [x]}],
+    COUNTING: [{transitionFn: x => x >= max ? [states.DONE, x] : [states.COUNTING, x + 1], targets: [states.COUNTING, states.DONE]}]
+  }
+});
+
+const advanceTimes = async (fsm, times, ...args) => {
+  for (let i = 0; i < times; i++) {
+    [, ...args] = await fsm.advance(...args);
+  }
+  return args;
+};
+
+test('snapshot captures state, last output and transition count', async t => {
+  const fsm = FSM.restore(definition(10), {version: SNAPSHOT_VERSION, state: states.START});
+  await advanceTimes(fsm, 3, 0);
+  t.deepEqual(fsm.snapshot(), {version: SNAPSHOT_VERSION, state: states.COUNTING, output: [2], transitionCount: 3, history: [], timers: []});
+});
+
+test('history is bounded by historyLimit', async t => {
+  const fsm = new FSM(states.COUNTING, {historyLimit: 2});
+  fsm.addTransition(states.COUNTING, {transitionFn: x => [states.COUNTING, x + 1]});
+  await advanceTimes(fsm, 5, 0);
+  const {history} = fsm.snapshot();
+  t.deepEqual(history.map(e => e.input[0]), [3, 4]);
+  t.true(history[0].time instanceof Date);
+});
+
+test('restored FSM continues exactly where the snapshot was taken', async t => {
+  const codec = makeLogCodec({states});
+  const fsm = createFSM(definition(5), {historyLimit: 10});
+  await advanceTimes(fsm, 3, 0);
+  const json = codec.stringifySnapshot(fsm.snapshot());
+  const snapshot = codec.parseSnapshot(json);
+  t.is(snapshot.state, states.COUNTING);
+  t.is(snapshot.history.length, 3);
+  // in another process...
+  const restored = FSM.restore(definition(5), snapshot, {historyLimit: 10});
+  t.is(restored.currentState, states.COUNTING);
+  t.is(restored.transitionCount, 3);
+  t.deepEqual(await runFSM(restored, states.DONE, ...snapshot.output), [states.DONE, 5]);
+  t.is(restored.transitionCount, 7);
+  t.is(restored.history.length, 7);
+});
+
+test('fsm.restore() works on imperatively built FSMs', async t => {
+  const fsm = new FSM(states.START);
+  fsm.addTransition(states.START, {transitionFn: () => { throw new Error("fail"); }});
+  t.is(fsm.restore({version: SNAPSHOT_VERSION, state: ERROR, output: [new Error("earlier failure")]}), fsm);
+  t.is(fsm.currentState, ERROR, "ERROR is known when a transitionFn can fail");
+});
+
+test('FSM.restore() accepts the declared states of the definition', async t => {
+  // DONE is only reached through a transitionFn without targets
+  const counter = {
+    initialState: states.COUNTING,
+    states: [states.COUNTING, states.DONE],
+    finalStates: [states.DONE],
+    transitions: {COUNTING: [{transitionFn: x => x >= 3 ? [states.DONE, x] : [states.COUNTING, x + 1]}]}
+  };
+  const fsm = createFSM(counter);
+  await runFSM(fsm, states.DONE, 0);
+  const restored = FSM.restore(counter, fsm.snapshot());
+  t.is(restored.currentState, states.DONE);
+  t.deepEqual(restored.lastOutput, [3]);
+  t.is(FSM.restore(counter, {version: SNAPSHOT_VERSION, state: ERROR}).currentState, ERROR);
+  t.throws(() => FSM.restore(counter, {version: SNAPSHOT_VERSION, state: states.ELSEWHERE}), {instanceOf: FSMError});
+});
+
+test('restore refuses states unknown to the transitions', t => {
+  const fsm = FSM.restore(definition(5), {version: SNAPSHOT_VERSION, state: states.START});
+  t.throws(() => fsm.restore({version: SNAPSHOT_VERSION, state: states.ELSEWHERE}),
+    {instanceOf: FSMError, message: "cannot restore snapshot in state ELSEWHERE, which is unknown to the FSM's transitions"});
+  t.throws(() => fsm.restore({version: SNAPSHOT_VERSION + 1, state: states.START}), {instanceOf: FSMError});
+  t.is(fsm.currentState, states.START);
+});
+
+test('snapshot and restore are refused during a transition', async t => {
+  const fsm = new FSM(states.START);
+  let finish;
+  fsm.addTransition(states.START, {nextState: states.DONE, transitionFn: () => new Promise(resolve => {
+    finish = resolve;
+  })});
+  const advancing = fsm.advance();
+  await new Promise(resolve => setImmediate(resolve));
+  t.throws(() => fsm.snapshot(), {instanceOf: FSMError, message: "cannot snapshot while in transition"});
+  t.throws(() => fsm.restore({version: SNAPSHOT_VERSION, state: states.START}), {instanceOf: FSMError});
+  finish();
+  await advancing;
+});
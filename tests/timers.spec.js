@@ -0,0 +1,192 @@
+const test = require('ava');
+const {FSM, FSMError, FSMAbortError, SNAPSHOT_VERSION, startFSM, runFSM, makeStates, logTransitions} = require('../lib/fsm.js');
+const {ManualClock} = require('../lib/clock.js');
+const {makeLogCodec} = require('../lib/logformat.js');
+
+const states = makeStates(Symbol("IDLE"), Symbol("WAIT"), Symbol("TIMEOUT"), Symbol("DONE"));
+
+// IDLE times out after 1000ms unless advanced with "ping"
+const makeSessionFSM = clock => {
+  const fsm = new FSM(states.IDLE, {clock, idleTimers: true});
+  fsm.addTransition(states.IDLE, {transitionFn: message => message === "ping" && [states.IDLE, "pong"]});
+  fsm.addTransition(states.IDLE, {nextState: states.TIMEOUT, after: 1000});
+  return fsm;
+};
+
+test('timed transitions fire after their delay when the FSM is idle with idleTimers', async t => {
+  const clock = new ManualClock();
+  const fsm = makeSessionFSM(clock);
+  const transitionLog = logTransitions(fsm);
+  t.is(clock.pending(), 1, "the timer starts with the FSM in the starting state");
+  await clock.advance(999);
+  t.is(fsm.currentState, states.IDLE);
+  await clock.advance(1);
+  t.is(fsm.currentState, states.TIMEOUT);
+  t.deepEqual(transitionLog.map(({from, to, cause}) => [from, to, cause]), [
+    [states.IDLE, states.TIMEOUT, {type: "after", delay: 1000}]
+  ]);
+  t.is(clock.pending(), 0);
+});
+
+test('without idleTimers, timers only run during runs', async t => {
+  const clock = new ManualClock();
+  const fsm = new FSM(states.IDLE, {clock});
+  fsm.addTransition(states.IDLE, {nextState: states.TIMEOUT, after: 1000});
+  t.is(clock.pending(), 0);
+  await clock.advance(5000);
+  t.is(fsm.currentState, states.IDLE);
+  const result = runFSM(fsm, states.TIMEOUT);
+  t.is(clock.pending(), 1);
+  await clock.advance(1000);
+  t.deepEqual(await result, [states.TIMEOUT]);
+});
+
+test('without idleTimers, advance() runs the timers while it waits for them', async t => {
+  const clock = new ManualClock();
+  const fsm = new FSM(states.WAIT, {clock});
+  fsm.addTransition(states.WAIT, {nextState: states.TIMEOUT, after: 100});
+  fsm.addTransition(states.WAIT, {nextState: states.DONE, after: 500});
+  fsm.addTransition(states.TIMEOUT, {nextState: states.WAIT});
+  const advanced = fsm.advance();
+  await clock.advance(50);
+  t.is(clock.pending(), 2);
+  await clock.advance(950);
+  t.deepEqual(await advanced, [states.TIMEOUT]);
+  t.is(clock.pending(), 0, "the timers stop once one of them fired");
+  t.deepEqual(await fsm.advance(), [states.WAIT]);
+  t.is(clock.pending(), 0);
+  const timedOut = fsm.advance();
+  await clock.advance(100);
+  t.deepEqual(await timedOut, [states.TIMEOUT]);
+});
+
+test('every transition restarts the timers, leaving the state cancels them', async t => {
+  const clock = new ManualClock();
+  const fsm = makeSessionFSM(clock);
+  fsm.addTransition(states.IDLE, {transitionFn: message => message === "bye" && states.DONE}, true);
+  await clock.advance(600);
+  t.deepEqual(await fsm.advance("ping"), [states.IDLE, "pong"]);
+  await clock.advance(600);
+  t.is(fsm.currentState, states.IDLE, "the ping restarted the timeout");
+  await fsm.advance("bye");
+  t.is(clock.pending(), 0);
+  await clock.advance(5000);
+  t.is(fsm.currentState, states.DONE);
+});
+
+test('runs wait in states where only timed transitions apply', async t => {
+  const clock = new ManualClock();
+  const fsm = new FSM(states.IDLE, {clock});
+  let calls = 0;
+  fsm.addTransition(states.IDLE, {transitionFn: () => ++calls < 3 ? [states.WAIT, calls] : [states.DONE, calls]});
+  // retry after a delay
+  fsm.addTransition(states.WAIT, {nextState: states.IDLE, after: 500, transitionFn: n => [n]});
+  const transitionLog = logTransitions(fsm);
+  const result = runFSM(fsm, states.DONE);
+  await clock.advance(500);
+  await clock.advance(500);
+  t.deepEqual(await result, [states.DONE, 3]);
+  t.is(clock.now(), 1000);
+  t.deepEqual(transitionLog.map(e => e.cause && e.cause.type), [undefined, "after", undefined, "after", undefined]);
+});
+
+test('aborting a run stops waiting for timers', async t => {
+  const clock = new ManualClock();
+  const fsm = new FSM(states.WAIT, {clock});
+  fsm.addTransition(states.WAIT, {nextState: states.DONE, after: 500});
+  const run = startFSM(fsm, states.DONE, {}, "input");
+  await clock.advance(100);
+  run.abort("stop");
+  const error = await t.throwsAsync(run.result, {instanceOf: FSMAbortError});
+  t.is(error.state, states.WAIT);
+  t.deepEqual(error.output, ["input"]);
+  t.false(fsm.inTransition);
+  t.is(clock.pending(), 0, "the timers stop with the run");
+  await clock.advance(1000);
+  t.is(fsm.currentState, states.WAIT);
+  t.deepEqual(fsm.snapshot().timers, [{index: 0, delay: 500, remaining: 400}]);
+  const resumed = runFSM(fsm, states.DONE, ...error.output);
+  await clock.advance(400);
+  t.deepEqual(await resumed, [states.DONE]);
+});
+
+test('timers which fire while the transition into their state is completing are not lost', async t => {
+  const clock = new ManualClock();
+  const fsm = new FSM(states.IDLE, {clock, idleTimers: true});
+  fsm.addTransition(states.IDLE, {nextState: states.WAIT});
+  fsm.addTransition(states.WAIT, {nextState: states.TIMEOUT, after: 10});
+  // a slow posttransition handler, eg. appending to a journal
+  fsm.on("posttransition", ({to}) => to === states.WAIT && new Promise(resolve => clock.setTimeout(resolve, 50)));
+  const advancing = fsm.advance();
+  await clock.advance(10);
+  t.is(fsm.currentState, states.WAIT);
+  t.true(fsm.inTransition);
+  await clock.advance(40);
+  await advancing;
+  await clock.advance(0);
+  t.is(fsm.currentState, states.TIMEOUT);
+});
+
+test('runs take timers which fired while the transition into their state was completing', async t => {
+  const clock = new ManualClock();
+  const fsm = new FSM(states.IDLE, {clock});
+  fsm.addTransition(states.IDLE, {nextState: states.WAIT});
+  fsm.addTransition(states.WAIT, {nextState: states.TIMEOUT, after: 10});
+  fsm.on("posttransition", ({to}) => to === states.WAIT && new Promise(resolve => clock.setTimeout(resolve, 50)));
+  const result = runFSM(fsm, states.TIMEOUT);
+  await clock.advance(50);
+  t.deepEqual(await result, [states.TIMEOUT]);
+  t.is(clock.now(), 50);
+});
+
+test('errors of timer-triggered transitions are emitted as timererror events', async t => {
+  const clock = new ManualClock();
+  const fsm = makeSessionFSM(clock);
+  const errors = [];
+  fsm.on("timererror", ({from, error}) => errors.push([from, error.message]));
+  fsm.onEnter(states.TIMEOUT, () => {
+    throw new Error("handler failed");
+  });
+  await clock.advance(1000);
+  t.deepEqual(errors, [[states.IDLE, "handler failed"]]);
+});
+
+test('timed transitions must select a next state', async t => {
+  const clock = new ManualClock();
+  const fsm = new FSM(states.WAIT, {clock, idleTimers: true});
+  fsm.addTransition(states.WAIT, {after: 10, transitionFn: () => false});
+  const errors = [];
+  fsm.on("timererror", ({error}) => errors.push(error));
+  await clock.advance(10);
+  t.true(errors[0] instanceof FSMError);
+  t.throws(() => fsm.addTransition(states.WAIT, {nextState: states.DONE, after: -1}), {instanceOf: FSMError});
+});
+
+test('pending timers are part of snapshots and continue after restore', async t => {
+  const clock = new ManualClock();
+  const fsm = makeSessionFSM(clock);
+  await clock.advance(300);
+  const snapshot = fsm.snapshot();
+  t.deepEqual(snapshot.timers, [{index: 1, delay: 1000, remaining: 700}]);
+  const codec = makeLogCodec({states});
+  const laterClock = new ManualClock(50000);
+  const restored = makeSessionFSM(laterClock).restore(codec.parseSnapshot(codec.stringifySnapshot(snapshot)));
+  t.is(laterClock.pending(), 1);
+  await laterClock.advance(699);
+  t.is(restored.currentState, states.IDLE);
+  await laterClock.advance(1);
+  t.is(restored.currentState, states.TIMEOUT);
+  t.is(makeSessionFSM(new ManualClock()).restore({version: SNAPSHOT_VERSION, state: states.IDLE}).timers[0].delay, 1000,
+    "snapshots without timers start them over");
+});
+
+test('the cause of timed transitions survives the log format', async t => {
+  const clock = new ManualClock();
+  const fsm = makeSessionFSM(clock);
+  const transitionLog = logTransitions(fsm);
+  await clock.advance(1000);
+  const codec = makeLogCodec({states, fsm});
+  const [entry] = codec.parse(codec.stringify(transitionLog));
+  t.deepEqual(entry.cause, {type: "after", delay: 1000});
+  t.is(entry.transition, fsm.validTransitions[states.IDLE][1]);
+});